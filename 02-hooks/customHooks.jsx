@@ -6,7 +6,16 @@
  * Custom hooks are the primary way to share stateful logic in React.
  */
 
-import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import {
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+  useMemo,
+  useReducer,
+  useDeferredValue,
+  useSyncExternalStore,
+} from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. BASIC CUSTOM HOOK
@@ -52,28 +61,226 @@ function useToggle(initialValue = false) {
   return { value, toggle, setTrue, setFalse };
 }
 
-// useLocalStorage - Persist state to localStorage
-function useLocalStorage(key, initialValue) {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch {
-      return initialValue;
+// useLocalStorage - Persist state to localStorage, synced across hooks and tabs
+
+/**
+ * localStorage is an external store, so the hook reads it through
+ * useSyncExternalStore instead of copying it into useState once:
+ * - Same tab: every hook using the key is notified on write
+ * - Other tabs: `storage` events, plus BroadcastChannel where storage
+ *   events don't fire (some embedded/partitioned contexts)
+ * - Values are stored as { __v: version, value } so old data can be migrated
+ *
+ * Both cross-tab paths only say "key changed" - the snapshot is re-read from
+ * localStorage, so receiving the same change twice is harmless.
+ */
+
+// Serializers turn a value into a string and back
+const storageSerializers = {
+  json: { stringify: JSON.stringify, parse: JSON.parse },
+
+  // superjson-like: keeps Date, Map and Set intact through a round-trip
+  rich: {
+    stringify: (value) =>
+      JSON.stringify(value, function replacer(key, current) {
+        // `this[key]` is the raw value - Date.toJSON has already run on `current`
+        const raw = this[key];
+        if (raw instanceof Date) return { __type: 'Date', value: raw.toISOString() };
+        if (raw instanceof Map) return { __type: 'Map', value: [...raw] };
+        if (raw instanceof Set) return { __type: 'Set', value: [...raw] };
+        return current;
+      }),
+    parse: (text) =>
+      JSON.parse(text, (key, value) => {
+        switch (value?.__type) {
+          case 'Date': return new Date(value.value);
+          case 'Map': return new Map(value.value);
+          case 'Set': return new Set(value.value);
+          default: return value;
+        }
+      }),
+  },
+};
+
+const storageListeners = new Map(); // key -> Set of listeners in this tab
+let storageChannel;
+
+function notifyStorageKey(key) {
+  storageListeners.get(key)?.forEach((listener) => listener());
+}
+
+function getStorageChannel() {
+  if (storageChannel === undefined) {
+    storageChannel =
+      typeof BroadcastChannel !== 'undefined'
+        ? new BroadcastChannel('local-storage-sync')
+        : null;
+    if (storageChannel) {
+      storageChannel.onmessage = (e) => notifyStorageKey(e.data.key);
+    }
+  }
+  return storageChannel;
+}
+
+function subscribeToStorageKey(key, listener) {
+  if (!storageListeners.has(key)) storageListeners.set(key, new Set());
+  storageListeners.get(key).add(listener);
+  getStorageChannel();
+
+  // e.key is null when another tab called localStorage.clear()
+  const handleStorage = (e) => {
+    if (e.storageArea === localStorage && (e.key === key || e.key === null)) {
+      listener();
     }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    window.removeEventListener('storage', handleStorage);
+    storageListeners.get(key).delete(listener);
+    if (storageListeners.get(key).size === 0) storageListeners.delete(key);
+  };
+}
+
+function readStorageKey(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null; // Storage disabled (e.g. blocked cookies)
+  }
+}
+
+function writeStorageKey(key, raw) {
+  if (raw === null) localStorage.removeItem(key);
+  else localStorage.setItem(key, raw);
+  notifyStorageKey(key); // Other hooks in this tab
+  getStorageChannel()?.postMessage({ key }); // Other tabs
+}
+
+function isQuotaExceededError(error) {
+  return (
+    error instanceof DOMException &&
+    (error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Firefox
+      error.code === 22 ||
+      error.code === 1014)
+  );
+}
+
+/**
+ * useLocalStorage(key, initialValue, options)
+ * - serializer: { stringify, parse } (default JSON, or storageSerializers.rich)
+ * - version: schema version written alongside the value (default 0)
+ * - migrate(oldValue, oldVersion): returns the value for the current version
+ * - onQuotaExceeded(error, { key, value }): the write was dropped
+ *
+ * Returns [value, setValue, removeValue]. setValue is stable per key.
+ */
+export function useLocalStorage(key, initialValue, options = {}) {
+  const { serializer = storageSerializers.json, version = 0 } = options;
+
+  // Callbacks and initialValue are often inline - read the latest via a ref
+  const latestRef = useRef({ initialValue, options });
+  useEffect(() => {
+    latestRef.current = { initialValue, options };
   });
 
+  const getSnapshot = useMemo(() => {
+    const decode = (raw) => {
+      const { initialValue, options } = latestRef.current;
+      if (raw === null) return initialValue;
+
+      try {
+        const parsed = serializer.parse(raw);
+        // Values written before versioning existed count as version 0
+        const isEnvelope = parsed !== null && typeof parsed === 'object' && '__v' in parsed;
+        const storedVersion = isEnvelope ? parsed.__v : 0;
+        const storedValue = isEnvelope ? parsed.value : parsed;
+
+        if (storedVersion === version) return storedValue;
+        // Migrated in memory; persisted by the next write
+        return options.migrate ? options.migrate(storedValue, storedVersion) : initialValue;
+      } catch {
+        return initialValue; // Corrupt or foreign data
+      }
+    };
+
+    // Same raw string -> same value reference (required by useSyncExternalStore)
+    let hasCache = false;
+    let cachedRaw;
+    let cachedValue;
+
+    return () => {
+      const raw = readStorageKey(key);
+      if (!hasCache || raw !== cachedRaw) {
+        hasCache = true;
+        cachedRaw = raw;
+        cachedValue = decode(raw);
+      }
+      return cachedValue;
+    };
+  }, [key, serializer, version]);
+
+  const subscribe = useCallback(
+    (listener) => subscribeToStorageKey(key, listener),
+    [key]
+  );
+
+  const storedValue = useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    () => latestRef.current.initialValue // No storage on the server
+  );
+
+  // Reads the current value from storage, not from a render closure
   const setValue = useCallback((value) => {
+    const nextValue = value instanceof Function ? value(getSnapshot()) : value;
+
     try {
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      localStorage.setItem(key, JSON.stringify(valueToStore));
+      writeStorageKey(key, serializer.stringify({ __v: version, value: nextValue }));
     } catch (error) {
-      console.error(error);
+      const { onQuotaExceeded } = latestRef.current.options;
+      if (isQuotaExceededError(error) && onQuotaExceeded) {
+        onQuotaExceeded(error, { key, value: nextValue });
+        return;
+      }
+      throw error;
     }
-  }, [key, storedValue]);
+  }, [key, getSnapshot, serializer, version]);
+
+  const removeValue = useCallback(() => writeStorageKey(key, null), [key]);
 
-  return [storedValue, setValue];
+  return [storedValue, setValue, removeValue];
+}
+
+// Usage - settings saved by an older release as { dark: boolean }
+function SettingsPanel() {
+  const [settings, setSettings] = useLocalStorage(
+    'settings',
+    { theme: 'light', lastSeen: null },
+    {
+      serializer: storageSerializers.rich,
+      version: 1,
+      migrate: (old, oldVersion) =>
+        oldVersion === 0
+          ? { theme: old.dark ? 'dark' : 'light', lastSeen: null }
+          : old,
+      onQuotaExceeded: () => alert('Storage is full - settings were not saved'),
+    }
+  );
+
+  return (
+    <button
+      onClick={() =>
+        setSettings((prev) => ({
+          theme: prev.theme === 'dark' ? 'light' : 'dark',
+          lastSeen: new Date(), // Comes back as a Date thanks to the rich serializer
+        }))
+      }
+    >
+      Theme: {settings.theme}
+    </button>
+  );
 }
 
 // useDebounce - Debounce a value
@@ -101,38 +308,203 @@ function usePrevious(value) {
 // 3. DATA FETCHING HOOKS
 // -------------------------------------------------------------------------------------------
 
-function useFetch(url) {
-  const [state, setState] = useState({
-    data: null,
-    loading: true,
-    error: null,
+/**
+ * A fetch hook that behaves well without a data library:
+ * - Module-level cache keyed by the final URL (url + sorted params)
+ * - Components asking for the same key share one in-flight request
+ * - Retries 5xx and network errors with exponential backoff
+ * - The request is aborted once the last component using it unmounts
+ * - Cached data younger than staleTime is served without refetching
+ */
+
+const EMPTY_FETCH_ENTRY = { data: undefined, error: null, updatedAt: 0, isFetching: false };
+
+const fetchCache = new Map(); // key -> entry (replaced, never mutated)
+const fetchListeners = new Map(); // key -> Set of listeners
+const inflightFetches = new Map(); // key -> { promise, controller, consumers }
+
+function buildRequestUrl(url, params) {
+  if (!params) return url;
+  // Sorted so { a, b } and { b, a } share a cache entry
+  const search = new URLSearchParams(
+    Object.entries(params).sort(([a], [b]) => a.localeCompare(b))
+  ).toString();
+  return `${url}${url.includes('?') ? '&' : '?'}${search}`;
+}
+
+function getFetchEntry(key) {
+  return fetchCache.get(key) ?? EMPTY_FETCH_ENTRY;
+}
+
+function setFetchEntry(key, patch) {
+  fetchCache.set(key, { ...getFetchEntry(key), ...patch });
+  fetchListeners.get(key)?.forEach((listener) => listener());
+}
+
+function subscribeToFetchKey(key, listener) {
+  if (!fetchListeners.has(key)) fetchListeners.set(key, new Set());
+  fetchListeners.get(key).add(listener);
+  return () => fetchListeners.get(key).delete(listener);
+}
+
+function isEntryStale(entry, staleTime) {
+  return !entry.updatedAt || Date.now() - entry.updatedAt >= staleTime;
+}
+
+// Resolves after ms, rejects early if the request is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
   });
+}
 
-  useEffect(() => {
-    let cancelled = false;
+// fetch() rejects with TypeError on network failure; 4xx won't fix itself
+function isRetryableError(error) {
+  return error instanceof TypeError || error.status >= 500;
+}
+
+async function fetchWithBackoff(url, { signal, retries, retryDelay }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(url, { signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.json();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      // 500ms, 1s, 2s... plus jitter so clients don't retry in lockstep
+      await sleep(retryDelay * 2 ** attempt + Math.random() * 100, signal);
+    }
+  }
+}
 
-    const fetchData = async () => {
-      setState({ data: null, loading: true, error: null });
+// Join the in-flight request for key, or start one. force replaces an
+// in-flight request whose response would predate a local write
+function startFetch(key, { force = false, ...options }) {
+  const existing = inflightFetches.get(key);
+  if (existing && !force) return existing;
+  if (existing) {
+    existing.superseded = true;
+    existing.controller.abort();
+  }
 
-      try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error('Network response was not ok');
-        const data = await response.json();
-        if (!cancelled) {
-          setState({ data, loading: false, error: null });
-        }
-      } catch (error) {
-        if (!cancelled) {
-          setState({ data: null, loading: false, error: error.message });
+  const controller = new AbortController();
+  const request = { key, controller, consumers: 0 };
+
+  request.promise = fetchWithBackoff(key, { signal: controller.signal, ...options })
+    .then(
+      (data) => {
+        if (request.superseded) return undefined; // May have resolved before the abort
+        setFetchEntry(key, { data, error: null, updatedAt: Date.now(), isFetching: false });
+        return data;
+      },
+      (error) => {
+        if (request.superseded) return undefined;
+        // Aborted: a newer request for this key may already be running
+        if (error.name === 'AbortError') {
+          if (!inflightFetches.has(key)) setFetchEntry(key, { isFetching: false });
+          return undefined;
         }
+        setFetchEntry(key, { error: error.message, isFetching: false });
+        return undefined;
       }
+    )
+    .finally(() => {
+      if (inflightFetches.get(key) === request) inflightFetches.delete(key);
+    });
+
+  inflightFetches.set(key, request);
+  setFetchEntry(key, { error: null, isFetching: true }); // A retry clears the old error
+  return request;
+}
+
+function releaseFetch(request) {
+  request.consumers -= 1;
+  if (request.consumers > 0) return;
+  // Forget it right away so a remount (e.g. StrictMode) starts a fresh request
+  if (inflightFetches.get(request.key) === request) inflightFetches.delete(request.key);
+  request.controller.abort();
+}
+
+function useFetch(url, { params, staleTime = 30_000, retries = 3, retryDelay = 500, enabled = true } = {}) {
+  const key = url ? buildRequestUrl(url, params) : null;
+
+  const subscribe = useCallback(
+    (listener) => (key ? subscribeToFetchKey(key, listener) : () => {}),
+    [key]
+  );
+  const entry = useSyncExternalStore(
+    subscribe,
+    () => (key ? getFetchEntry(key) : EMPTY_FETCH_ENTRY),
+    () => EMPTY_FETCH_ENTRY
+  );
+
+  // Requests this component is waiting on - released on unmount/key change
+  const heldRef = useRef(new Set());
+  const hold = useCallback((request) => {
+    if (!heldRef.current.has(request)) {
+      heldRef.current.add(request);
+      request.consumers += 1;
+    }
+    return request.promise;
+  }, []);
+
+  useEffect(() => {
+    const held = heldRef.current;
+    if (key && enabled && isEntryStale(getFetchEntry(key), staleTime)) {
+      hold(startFetch(key, { retries, retryDelay }));
+    }
+    return () => {
+      held.forEach(releaseFetch);
+      held.clear();
     };
+  }, [key, enabled, staleTime, retries, retryDelay, hold]);
 
-    fetchData();
-    return () => { cancelled = true; };
-  }, [url]);
+  // Re-render when cached data crosses staleTime so isStale flips
+  const [, rerender] = useReducer((n) => n + 1, 0);
+  useEffect(() => {
+    if (!entry.updatedAt) return;
+    const remaining = entry.updatedAt + staleTime - Date.now();
+    if (remaining <= 0) return;
+    const timer = setTimeout(rerender, remaining);
+    return () => clearTimeout(timer);
+  }, [entry.updatedAt, staleTime]);
 
-  return state;
+  // Ignores staleTime; still joins a request that is already in flight
+  const refetch = useCallback(
+    () => (key ? hold(startFetch(key, { retries, retryDelay })) : Promise.resolve(undefined)),
+    [key, retries, retryDelay, hold]
+  );
+
+  // Write to the cache (e.g. after a POST); every component on key updates.
+  // Revalidating starts a new request - one already in flight is from before the write
+  const mutate = useCallback((dataOrUpdater, { revalidate = false } = {}) => {
+    if (!key) return Promise.resolve(undefined);
+    const data = dataOrUpdater instanceof Function
+      ? dataOrUpdater(getFetchEntry(key).data)
+      : dataOrUpdater;
+    setFetchEntry(key, { data, error: null, updatedAt: Date.now() });
+    return revalidate
+      ? hold(startFetch(key, { retries, retryDelay, force: true }))
+      : Promise.resolve(data);
+  }, [key, retries, retryDelay, hold]);
+
+  return {
+    data: entry.data ?? null,
+    error: entry.error,
+    loading: Boolean(key) && enabled && entry.data === undefined && !entry.error,
+    isFetching: entry.isFetching,
+    isStale: isEntryStale(entry, staleTime),
+    refetch,
+    mutate,
+  };
 }
 
 // Usage
@@ -144,6 +516,33 @@ function UserProfile({ userId }) {
   return <p>{data.name}</p>;
 }
 
+// Two ProductLists showing the same page share one request and cache entry
+function ProductList({ page }) {
+  const { data, loading, error, isStale, refetch, mutate } = useFetch('/api/products', {
+    params: { page, limit: 20 },
+    staleTime: 60_000,
+  });
+
+  if (loading) return <p>Loading...</p>;
+  if (error) return <button onClick={refetch}>Retry ({error})</button>;
+
+  const archive = (id) =>
+    mutate((products) => products.filter((p) => p.id !== id), { revalidate: true });
+
+  return (
+    <>
+      {isStale && <button onClick={refetch}>Refresh</button>}
+      <ul>
+        {data.map((product) => (
+          <li key={product.id}>
+            {product.name} <button onClick={() => archive(product.id)}>Archive</button>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // 4. DOM AND BROWSER HOOKS
 // -------------------------------------------------------------------------------------------
@@ -200,31 +599,249 @@ function useMediaQuery(query) {
 // 5. FORM HOOKS
 // -------------------------------------------------------------------------------------------
 
-function useForm(initialValues) {
+/**
+ * useForm(initialValues, { validate, asyncRules, asyncDebounce })
+ * - validate: a Zod-style schema (anything with safeParse) or a rules object
+ *   { 'address.city': [(value, values) => message | undefined, ...] }
+ * - asyncRules: { path: async (value, { values, signal }) => message | undefined }
+ *   run debounced on change, skipped while the field has a sync error
+ * - Field names are dot paths, so name="address.city" edits values.address.city
+ * - errors/touched are flat objects keyed by path
+ */
+
+function getIn(obj, path) {
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+// Immutable set - copies only the objects along the path
+function setIn(obj, path, value) {
+  const [key, ...rest] = path.split('.');
+  const copy = Array.isArray(obj) ? [...obj] : { ...obj };
+  copy[key] = rest.length ? setIn(obj?.[key], rest.join('.'), value) : value;
+  return copy;
+}
+
+function withFieldError(errors, path, message) {
+  if (message) return errors[path] === message ? errors : { ...errors, [path]: message };
+  if (!(path in errors)) return errors;
+  const { [path]: _removed, ...rest } = errors;
+  return rest;
+}
+
+function runSyncValidation(validate, values) {
+  if (!validate) return {};
+
+  // Zod (or any schema with the same safeParse shape)
+  if (typeof validate.safeParse === 'function') {
+    const result = validate.safeParse(values);
+    if (result.success) return {};
+    return result.error.issues.reduce((errors, issue) => {
+      errors[issue.path.join('.')] ??= issue.message; // First issue per field
+      return errors;
+    }, {});
+  }
+
+  // Rules object - first failing rule per field wins
+  return Object.entries(validate).reduce((errors, [path, rules]) => {
+    const value = getIn(values, path);
+    for (const rule of [].concat(rules)) {
+      const message = rule(value, values);
+      if (message) {
+        errors[path] = message;
+        break;
+      }
+    }
+    return errors;
+  }, {});
+}
+
+// DOM order, so focus lands on the first error the user would read
+function focusFirstInvalidField(form, errors) {
+  const fields = form?.elements
+    ? [...form.elements]
+    : [...document.querySelectorAll('[name]')];
+  fields.find((field) => field.name in errors)?.focus();
+}
+
+function useForm(initialValues, { validate, asyncRules = {}, asyncDebounce = 300 } = {}) {
   const [values, setValues] = useState(initialValues);
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState({}); // Set manually, e.g. server errors
+  const [asyncErrors, setAsyncErrors] = useState({});
+  const [validating, setValidating] = useState({});
   const [touched, setTouched] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null); // What onSubmit threw
+
+  // Handlers read these instead of closing over a render's values
+  const valuesRef = useRef(values);
+  const optionsRef = useRef({ validate, asyncRules });
+  useEffect(() => {
+    optionsRef.current = { validate, asyncRules };
+  });
+
+  const pendingRef = useRef({}); // path -> { timer, controller, resolve }
+
+  const cancelAsyncRule = useCallback((path) => {
+    const pending = pendingRef.current[path];
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pending.controller.abort();
+    pending.resolve(undefined);
+    delete pendingRef.current[path];
+    setValidating((prev) => ({ ...prev, [path]: false }));
+  }, []);
+
+  // Resolves with the error message (undefined if superseded or cancelled)
+  const runAsyncRule = useCallback((path, nextValues, delay) => {
+    const rule = optionsRef.current.asyncRules[path];
+    if (!rule) return Promise.resolve(undefined);
+
+    cancelAsyncRule(path);
+    const controller = new AbortController();
+    setValidating((prev) => ({ ...prev, [path]: true }));
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(async () => {
+        let message;
+        try {
+          message = await rule(getIn(nextValues, path), {
+            values: nextValues,
+            signal: controller.signal,
+          });
+        } catch (error) {
+          message = error.message;
+        }
+        if (controller.signal.aborted) return;
+
+        delete pendingRef.current[path];
+        setValidating((prev) => ({ ...prev, [path]: false }));
+        setAsyncErrors((prev) => withFieldError(prev, path, message));
+        resolve(message);
+      }, delay);
+
+      pendingRef.current[path] = { timer, controller, resolve };
+    });
+  }, [cancelAsyncRule]);
+
+  useEffect(() => () => {
+    Object.values(pendingRef.current).forEach(({ timer, controller }) => {
+      clearTimeout(timer);
+      controller.abort();
+    });
+  }, []);
+
+  const setFieldValue = useCallback((path, value) => {
+    const nextValues = setIn(valuesRef.current, path, value);
+    valuesRef.current = nextValues;
+    setValues(nextValues);
+    setErrors((prev) => withFieldError(prev, path, undefined)); // Outdated once edited
+
+    if (runSyncValidation(optionsRef.current.validate, nextValues)[path]) {
+      cancelAsyncRule(path);
+      setAsyncErrors((prev) => withFieldError(prev, path, undefined));
+    } else {
+      runAsyncRule(path, nextValues, asyncDebounce);
+    }
+  }, [asyncDebounce, cancelAsyncRule, runAsyncRule]);
 
   const handleChange = useCallback((e) => {
     const { name, value, type, checked } = e.target;
-    setValues((prev) => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value,
-    }));
-  }, []);
+    setFieldValue(name, type === 'checkbox' ? checked : value);
+  }, [setFieldValue]);
 
   const handleBlur = useCallback((e) => {
     const { name } = e.target;
     setTouched((prev) => ({ ...prev, [name]: true }));
   }, []);
 
+  const syncErrors = useMemo(() => runSyncValidation(validate, values), [validate, values]);
+  const allErrors = useMemo(
+    () => ({ ...asyncErrors, ...errors, ...syncErrors }),
+    [asyncErrors, errors, syncErrors]
+  );
+
+  const isValidating = Object.values(validating).some(Boolean);
+  const isValid = Object.keys(allErrors).length === 0 && !isValidating;
+  const isDirty = useMemo(
+    () => JSON.stringify(values) !== JSON.stringify(initialValues),
+    [values, initialValues]
+  );
+
+  // handleSubmit(onSubmit) returns the form's onSubmit handler. React ignores
+  // the promise it returns, so a throwing onSubmit lands in submitError
+  const handleSubmit = useCallback((onSubmit) => async (e) => {
+    e?.preventDefault?.();
+    const form = e?.currentTarget; // React clears currentTarget after the first await
+    const currentValues = valuesRef.current;
+    const { validate, asyncRules } = optionsRef.current;
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      const nextErrors = runSyncValidation(validate, currentValues);
+
+      // Async rules run immediately (no debounce) for fields that passed sync
+      const asyncPaths = Object.keys(asyncRules).filter((path) => !nextErrors[path]);
+      const messages = await Promise.all(
+        asyncPaths.map((path) => runAsyncRule(path, currentValues, 0))
+      );
+      asyncPaths.forEach((path, i) => {
+        if (messages[i]) nextErrors[path] = messages[i];
+      });
+
+      setErrors({});
+      setTouched((prev) => ({
+        ...prev,
+        ...Object.fromEntries(Object.keys(nextErrors).map((path) => [path, true])),
+      }));
+
+      if (Object.keys(nextErrors).length > 0) {
+        focusFirstInvalidField(form, nextErrors);
+        return;
+      }
+
+      await onSubmit(currentValues);
+    } catch (error) {
+      setSubmitError(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [runAsyncRule]);
+
+  const getFieldProps = useCallback((path) => ({
+    name: path,
+    value: getIn(values, path) ?? '',
+    onChange: handleChange,
+    onBlur: handleBlur,
+  }), [values, handleChange, handleBlur]);
+
   const reset = useCallback(() => {
+    Object.keys(pendingRef.current).forEach(cancelAsyncRule);
+    valuesRef.current = initialValues;
     setValues(initialValues);
     setErrors({});
+    setAsyncErrors({});
     setTouched({});
-  }, [initialValues]);
+    setSubmitError(null);
+  }, [initialValues, cancelAsyncRule]);
 
-  return { values, errors, touched, handleChange, handleBlur, reset, setErrors };
+  return {
+    values,
+    errors: allErrors,
+    touched,
+    isDirty,
+    isValid,
+    isValidating,
+    isSubmitting,
+    submitError,
+    handleChange,
+    handleBlur,
+    handleSubmit,
+    getFieldProps,
+    setFieldValue,
+    reset,
+    setErrors,
+  };
 }
 
 // Usage
@@ -242,26 +859,265 @@ function LoginForm() {
   );
 }
 
+// Rules object + async rule + nested fields
+const required = (message) => (value) => (value ? undefined : message);
+
+const signupInitialValues = { username: '', email: '', address: { city: '' } };
+
+const signupRules = {
+  username: [required('Username is required'), (v) => (v.length < 3 ? 'Too short' : undefined)],
+  email: [required('Email is required'), (v) => (v.includes('@') ? undefined : 'Invalid email')],
+  'address.city': required('City is required'),
+  // Or pass a Zod schema instead: { validate: signupSchema }
+};
+
+const signupAsyncRules = {
+  username: async (username, { signal }) => {
+    const res = await fetch(`/api/username-available?u=${username}`, { signal });
+    const { available } = await res.json();
+    return available ? undefined : 'Username is taken';
+  },
+};
+
+async function submitSignup(values) {
+  const res = await fetch('/api/signup', { method: 'POST', body: JSON.stringify(values) });
+  if (!res.ok) throw new Error('Sign up failed, please try again');
+}
+
+function SignupForm() {
+  const { errors, touched, isDirty, isValid, isSubmitting, submitError, handleSubmit, getFieldProps } =
+    useForm(signupInitialValues, { validate: signupRules, asyncRules: signupAsyncRules });
+
+  const showError = (path) => touched[path] && errors[path] && <span role="alert">{errors[path]}</span>;
+
+  return (
+    <form onSubmit={handleSubmit(submitSignup)}>
+      {submitError && <p role="alert">{submitError.message}</p>}
+      <input {...getFieldProps('username')} aria-invalid={Boolean(errors.username)} />
+      {showError('username')}
+      <input {...getFieldProps('email')} aria-invalid={Boolean(errors.email)} />
+      {showError('email')}
+      <input {...getFieldProps('address.city')} aria-invalid={Boolean(errors['address.city'])} />
+      {showError('address.city')}
+      <button type="submit" disabled={!isDirty || isSubmitting}>
+        {isSubmitting ? 'Signing up...' : isValid ? 'Sign up' : 'Fix errors to continue'}
+      </button>
+    </form>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // 6. COMPOSING HOOKS
 // -------------------------------------------------------------------------------------------
 
 /**
  * Custom hooks can use other custom hooks.
+ *
+ * useSearch composes useMemo (build an index once per items/keys) with
+ * useDeferredValue (filter against a lagging query so typing stays urgent).
+ * - keys: ['name'] or [{ name: 'name', weight: 3 }, { name: 'tags', weight: 1 }]
+ *   Dot paths work; array values (tags) are searched element by element
+ * - Every query word must match some key; results are ranked by score
+ * - Each result carries highlight ranges per key for rendering
  */
 
-function useSearch(items, searchKey) {
+// Word positions are precomputed so typo matching doesn't re-split per keystroke
+function indexSearchText(value) {
+  const text = String(value);
+  const normalized = text.toLowerCase();
+  const words = [...normalized.matchAll(/\w+/g)].map((m) => ({ word: m[0], start: m.index }));
+  return { text, normalized, words };
+}
+
+// Edit distance where a swap of neighbours ("mosue") counts as one typo.
+// Gives up as soon as every path exceeds max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Default matcher: (indexedField, queryWord) => { score: 0..1, ranges } | null
+ * Ranges are [start, end) offsets into the original text.
+ * 1. Substring - exact > prefix > word start > anywhere
+ * 2. Typo - a word (or the typed prefix of one) within 1-2 edits
+ * 3. Subsequence - letters in order, scored by how tightly they cluster
+ */
+function fuzzyMatch({ normalized, words }, query) {
+  const index = normalized.indexOf(query);
+  if (index !== -1) {
+    const ranges = [[index, index + query.length]];
+    if (normalized === query) return { score: 1, ranges };
+    if (index === 0) return { score: 0.95, ranges };
+    if (/\W/.test(normalized[index - 1])) return { score: 0.9, ranges };
+    return { score: 0.8, ranges };
+  }
+
+  const maxEdits = query.length < 4 ? 0 : query.length < 8 ? 1 : 2;
+  if (maxEdits > 0) {
+    let best = null;
+    for (const { word, start } of words) {
+      const distance = Math.min(
+        editDistance(word, query, maxEdits),
+        editDistance(word.slice(0, query.length), query, maxEdits)
+      );
+      if (distance <= maxEdits && (!best || distance < best.distance)) {
+        best = { distance, ranges: [[start, start + word.length]] };
+      }
+    }
+    if (best) return { score: 0.7 - best.distance * 0.1, ranges: best.ranges };
+  }
+
+  const ranges = [];
+  let position = 0;
+  for (const char of query) {
+    position = normalized.indexOf(char, position);
+    if (position === -1) return null;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) last[1] += 1;
+    else ranges.push([position, position + 1]);
+    position += 1;
+  }
+  const span = ranges[ranges.length - 1][1] - ranges[0][0];
+  const score = 0.5 * (query.length / span);
+  return score >= 0.2 ? { score, ranges } : null;
+}
+
+function useSearch(items, keys, { matcher = fuzzyMatch, limit = Infinity } = {}) {
   const [query, setQuery] = useState('');
-  const debouncedQuery = useDebounce(query, 300);
+  const deferredQuery = useDeferredValue(query);
+
+  // Accept ['name'] as shorthand for [{ name: 'name', weight: 1 }]
+  // Pass a stable keys array (module constant or useMemo) to keep the index
+  const normalizedKeys = useMemo(
+    () => keys.map((key) => (typeof key === 'string' ? { name: key, weight: 1 } : key)),
+    [keys]
+  );
+
+  // Indexing step: runs when items change, not on every keystroke
+  const index = useMemo(
+    () =>
+      items.map((item) => ({
+        item,
+        fields: normalizedKeys.map(({ name }) =>
+          [].concat(getIn(item, name) ?? []).map(indexSearchText)
+        ),
+      })),
+    [items, normalizedKeys]
+  );
 
   const results = useMemo(() => {
-    if (!debouncedQuery) return items;
-    return items.filter((item) =>
-      item[searchKey].toLowerCase().includes(debouncedQuery.toLowerCase())
-    );
-  }, [items, debouncedQuery, searchKey]);
+    const words = deferredQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return items.slice(0, limit).map((item) => ({ item, score: 0, matches: {} }));
+    }
+
+    const totalWeight = normalizedKeys.reduce((sum, key) => sum + key.weight, 0);
+    const ranked = [];
+
+    for (const { item, fields } of index) {
+      let score = 0;
+      let matchedEveryWord = true;
+      const matches = {};
+
+      for (const word of words) {
+        let bestScore = 0;
+        fields.forEach((values, k) => {
+          const { name, weight } = normalizedKeys[k];
+          values.forEach((field, valueIndex) => {
+            const match = matcher(field, word);
+            if (!match) return;
+            bestScore = Math.max(bestScore, match.score * weight);
+            matches[name] ??= [];
+            matches[name][valueIndex] ??= { value: field.text, ranges: [] };
+            matches[name][valueIndex].ranges.push(...match.ranges);
+          });
+        });
+        if (bestScore === 0) {
+          matchedEveryWord = false; // Every word has to match somewhere
+          break;
+        }
+        score += bestScore;
+      }
 
-  return { query, setQuery, results };
+      if (matchedEveryWord) {
+        ranked.push({ item, score: score / (words.length * totalWeight), matches });
+      }
+    }
+
+    // Array.prototype.sort is stable, so ties keep the original order
+    return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+  }, [index, items, normalizedKeys, deferredQuery, matcher, limit]);
+
+  return { query, setQuery, results, isStale: query !== deferredQuery };
+}
+
+// Render text with matched ranges wrapped in <mark>
+function Highlight({ text, ranges = [] }) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let cursor = 0;
+
+  sorted.forEach(([start, end]) => {
+    if (end <= cursor) return; // Overlaps a range already rendered
+    start = Math.max(start, cursor);
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+}
+
+// Usage - 50k products: name matters most, then SKU, then tags
+const productSearchKeys = [
+  { name: 'name', weight: 3 },
+  { name: 'sku', weight: 2 },
+  { name: 'tags', weight: 1 },
+];
+
+function ProductSearch({ products }) {
+  const { query, setQuery, results, isStale } = useSearch(products, productSearchKeys, {
+    limit: 200,
+  });
+
+  return (
+    <div>
+      <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search products" />
+      <ul style={{ opacity: isStale ? 0.6 : 1 }}>
+        {results.map(({ item, matches }) => (
+          <li key={item.id}>
+            <Highlight text={item.name} ranges={matches.name?.[0]?.ranges} />{' '}
+            <small>
+              <Highlight text={item.sku} ranges={matches.sku?.[0]?.ranges} />
+            </small>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
 }
 
 // -------------------------------------------------------------------------------------------
@@ -6,7 +6,7 @@
  * state across many components.
  */
 
-import { createContext, useContext, useState, useMemo, useEffect } from 'react';
+import { createContext, useContext, useState, useMemo, useEffect, useRef, useCallback } from 'react';
 
 // Placeholder functions for examples
 const checkAuth = () => Promise.resolve(null);
@@ -14,7 +14,6 @@ const loginApi = (credentials) => Promise.resolve({ name: 'User' });
 const logoutApi = () => Promise.resolve();
 
 // Placeholder components for examples
-const NotificationProvider = ({ children }) => children;
 const MainContent = () => <div>Main Content</div>;
 const MyContext = createContext(null);
 
@@ -245,7 +244,258 @@ function ModalProvider({ children }) {
 }
 
 // -------------------------------------------------------------------------------------------
-// 6. CONTEXT VS OTHER STATE SOLUTIONS
+// 6. NOTIFICATION CONTEXT (TOASTS)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * NotificationProvider owns the toast queue; useToast() is the API:
+ *   toast.success('Saved')
+ *   toast.error('Upload failed', { key: 'upload' })
+ *   toast.promise(save(), { loading: 'Saving…', success: 'Saved', error: (e) => e.message })
+ *
+ * - At most maxVisible toasts show; the rest wait in order
+ * - Same key = same toast: it's updated and its timer restarts, never stacked
+ * - Timers pause while a toast is hovered or focused
+ * - Swipe sideways or press Escape (while focused) to dismiss
+ * - A live region announces each toast; errors are assertive
+ * - The viewport is portalled to <body>, stacked above dialogs and left
+ *   interactive while one is open (data-dialog-ignore-inert)
+ *
+ * The API object never changes, so calling useToast() doesn't re-render on
+ * new toasts - only the viewport subscribes to the list (split contexts, section 4).
+ */
+
+import { createPortal } from 'react-dom';
+
+const ToastContext = createContext(null);
+
+const SWIPE_DISMISS_DISTANCE = 80;
+
+function NotificationProvider({ children, maxVisible = 3, duration = 5000 }) {
+  const [toasts, setToasts] = useState([]);
+  const [announcement, setAnnouncement] = useState({ politeness: 'polite', text: '' });
+
+  // The ref is the source of truth so show() can return an id synchronously
+  const toastsRef = useRef(toasts);
+  const counterRef = useRef(0);
+  const commit = useCallback((next) => {
+    toastsRef.current = next;
+    setToasts(next);
+  }, []);
+
+  const announce = useCallback((politeness, text) => {
+    // Cleared first, so a repeated message is read again
+    setAnnouncement({ politeness, text: '' });
+    setTimeout(() => setAnnouncement({ politeness, text }), 100);
+  }, []);
+
+  const dismiss = useCallback((id) => {
+    commit(toastsRef.current.filter((t) => t.id !== id));
+  }, [commit]);
+
+  const show = useCallback((type, message, options = {}) => {
+    const current = toastsRef.current;
+    const existing = current.find(
+      (t) => t.id === options.id || (options.key != null && t.key === options.key)
+    );
+    const toast = {
+      id: existing?.id ?? `toast-${++counterRef.current}`,
+      key: options.key,
+      type,
+      message,
+      action: options.action, // { label, onClick }
+      duration: options.duration ?? (type === 'loading' ? Infinity : duration),
+      version: (existing?.version ?? 0) + 1, // Restarts the timer
+    };
+
+    commit(existing ? current.map((t) => (t === existing ? toast : t)) : [...current, toast]);
+    announce(type === 'error' ? 'assertive' : 'polite', message);
+    return toast.id;
+  }, [commit, announce, duration]);
+
+  const api = useMemo(() => {
+    const resolve = (message, value) => (typeof message === 'function' ? message(value) : message);
+    return {
+      show: (message, options) => show('info', message, options),
+      success: (message, options) => show('success', message, options),
+      error: (message, options) => show('error', message, options),
+      promise: (promise, messages, options) => {
+        const id = show('loading', messages.loading, options);
+        promise.then(
+          (result) => show('success', resolve(messages.success, result), { ...options, id }),
+          (error) => show('error', resolve(messages.error, error), { ...options, id })
+        );
+        return promise;
+      },
+      dismiss,
+    };
+  }, [show, dismiss]);
+
+  return (
+    <ToastContext.Provider value={api}>
+      {children}
+      <ToastViewport
+        toasts={toasts.slice(0, maxVisible)}
+        announcement={announcement}
+        onDismiss={dismiss}
+      />
+    </ToastContext.Provider>
+  );
+}
+
+function useToast() {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used within NotificationProvider');
+  }
+  return context;
+}
+
+function ToastViewport({ toasts, announcement, onDismiss }) {
+  const [container] = useState(() => {
+    const el = document.createElement('div');
+    el.setAttribute('data-dialog-ignore-inert', '');
+    return el;
+  });
+
+  useEffect(() => {
+    document.body.appendChild(container);
+    return () => container.remove();
+  }, [container]);
+
+  return createPortal(
+    <>
+      <div aria-live="polite" aria-atomic="true" className="sr-only">
+        {announcement.politeness === 'polite' && announcement.text}
+      </div>
+      <div aria-live="assertive" aria-atomic="true" className="sr-only">
+        {announcement.politeness === 'assertive' && announcement.text}
+      </div>
+      {/* Above .modal-overlay */}
+      <section aria-label="Notifications" className="toast-viewport" style={{ zIndex: 10000 }}>
+        <ol>
+          {toasts.map((toast) => (
+            <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+          ))}
+        </ol>
+      </section>
+    </>,
+    container
+  );
+}
+
+function Toast({ toast, onDismiss }) {
+  const [isPaused, setIsPaused] = useState(false);
+  const [offset, setOffset] = useState(0);
+  const remainingRef = useRef(toast.duration);
+  const dragStartRef = useRef(null);
+
+  // New version (deduped update): full duration again
+  useEffect(() => {
+    remainingRef.current = toast.duration;
+  }, [toast.version, toast.duration]);
+
+  // Cleanup runs on pause, so the next run continues with what was left
+  useEffect(() => {
+    if (isPaused || toast.duration === Infinity) return;
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(toast.id), remainingRef.current);
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - startedAt;
+    };
+  }, [isPaused, toast.id, toast.version, toast.duration, onDismiss]);
+
+  const handlePointerDown = (e) => {
+    if (e.target.closest('button')) return;
+    dragStartRef.current = e.clientX;
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragStartRef.current !== null) setOffset(e.clientX - dragStartRef.current);
+  };
+
+  const handlePointerUp = () => {
+    if (dragStartRef.current === null) return;
+    dragStartRef.current = null;
+    if (Math.abs(offset) > SWIPE_DISMISS_DISTANCE) onDismiss(toast.id);
+    else setOffset(0);
+  };
+
+  return (
+    <li
+      className={`toast toast-${toast.type}`}
+      tabIndex={0}
+      style={{
+        transform: `translateX(${offset}px)`,
+        opacity: 1 - Math.min(Math.abs(offset) / (SWIPE_DISMISS_DISTANCE * 2), 0.8),
+        touchAction: 'pan-y',
+      }}
+      onMouseEnter={() => setIsPaused(true)}
+      onMouseLeave={() => setIsPaused(false)}
+      onFocus={() => setIsPaused(true)}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsPaused(false);
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault(); // Don't also close an open dialog
+          onDismiss(toast.id);
+        }
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <p>{toast.message}</p>
+      {toast.action && (
+        <button
+          onClick={() => {
+            toast.action.onClick();
+            onDismiss(toast.id);
+          }}
+        >
+          {toast.action.label}
+        </button>
+      )}
+      <button aria-label="Dismiss notification" onClick={() => onDismiss(toast.id)}>×</button>
+    </li>
+  );
+}
+
+// Usage
+function SaveButton({ draft, onSave }) {
+  const toast = useToast();
+
+  const handleSave = () =>
+    toast.promise(onSave(draft), {
+      loading: 'Saving…',
+      success: (saved) => `Saved "${saved.title}"`,
+      error: (error) => `Couldn't save: ${error.message}`,
+    }, { key: `save-${draft.id}` }); // Saving twice updates one toast
+
+  return <button onClick={handleSave}>Save</button>;
+}
+
+function ArchiveButton({ onArchive, onUndo }) {
+  const toast = useToast();
+
+  return (
+    <button
+      onClick={() => {
+        onArchive();
+        toast.success('Conversation archived', { action: { label: 'Undo', onClick: onUndo } });
+      }}
+    >
+      Archive
+    </button>
+  );
+}
+
+// -------------------------------------------------------------------------------------------
+// 7. CONTEXT VS OTHER STATE SOLUTIONS
 // -------------------------------------------------------------------------------------------
 
 /**
@@ -276,6 +526,7 @@ function ModalProvider({ children }) {
  * - Split contexts by update frequency
  * - Create custom hooks with error handling
  * - Keep context close to where it's used
+ * - Expose a stable API object; let only the renderer read the changing list
  * - Don't overuse - not every shared state needs context
  *
  * COMMON MISTAKES:
@@ -6,7 +6,7 @@
  * or when next state depends on previous state.
  */
 
-import { useReducer, useContext, createContext, useState } from 'react';
+import { useReducer, useContext, createContext, useState, useMemo, useCallback } from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. BASIC USAGE
@@ -150,13 +150,40 @@ function CounterWithActions() {
 const StateContext = createContext(null);
 const DispatchContext = createContext(null);
 
+// Survive reloads - see useReducerPatterns.jsx section 9
+import {
+  persistReducer,
+  usePersistedReducer,
+  PersistGate,
+  createIndexedDBStorage,
+} from '../03-state-management/useReducerPatterns';
+
+const persistedTodoReducer = persistReducer(
+  {
+    key: 'app-todos',
+    storage: createIndexedDBStorage(),
+    blacklist: ['loading', 'error'], // Transient - never restore a spinner
+    version: 1,
+    migrations: {
+      // v0 stored `done`, v1 renamed it to `completed`
+      1: (state) => ({
+        ...state,
+        items: state.items.map(({ done, ...todo }) => ({ ...todo, completed: Boolean(done) })),
+      }),
+    },
+  },
+  todoReducer
+);
+
 function AppProvider({ children }) {
-  const [state, dispatch] = useReducer(todoReducer, initialState);
+  const [state, dispatch, persistor] = usePersistedReducer(persistedTodoReducer, initialState);
 
   return (
     <StateContext.Provider value={state}>
       <DispatchContext.Provider value={dispatch}>
-        {children}
+        <PersistGate persistor={persistor} loading={<p>Loading...</p>}>
+          {children}
+        </PersistGate>
       </DispatchContext.Provider>
     </StateContext.Provider>
   );
@@ -242,6 +269,189 @@ function FormWithReducer() {
   );
 }
 
+// -------------------------------------------------------------------------------------------
+// 7. UNDO / REDO (HIGHER-ORDER REDUCER)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A higher-order reducer takes a reducer and returns a new one.
+ * undoable(reducer) keeps { past, present, future } and answers UNDO, REDO,
+ * JUMP and CLEAR_HISTORY itself; every other action goes to the wrapped
+ * reducer. Works with any reducer here (todoReducer, formReducer) or in
+ * useReducerPatterns.jsx (todosReducer).
+ *
+ * Options:
+ * - limit: max entries kept in `past`
+ * - filter(action): false = update present without a history entry
+ * - groupBy(action) + groupWindow: consecutive actions with the same group
+ *   key less than groupWindow ms apart share one entry (e.g. typing)
+ */
+
+const UndoActionTypes = {
+  UNDO: '@@undo/UNDO',
+  REDO: '@@undo/REDO',
+  JUMP: '@@undo/JUMP',
+  CLEAR_HISTORY: '@@undo/CLEAR_HISTORY',
+};
+
+const undoActions = {
+  undo: () => ({ type: UndoActionTypes.UNDO }),
+  redo: () => ({ type: UndoActionTypes.REDO }),
+  jump: (steps) => ({ type: UndoActionTypes.JUMP, payload: steps }), // -2 = back two
+  clearHistory: () => ({ type: UndoActionTypes.CLEAR_HISTORY }),
+};
+
+function createHistory(present) {
+  return { past: [], present, future: [], lastGroup: null };
+}
+
+function undoable(
+  reducer,
+  { limit = 50, filter = () => true, groupBy = () => null, groupWindow = 0 } = {}
+) {
+  return function undoableReducer(history, action) {
+    const { past, present, future } = history;
+
+    switch (action.type) {
+      case UndoActionTypes.UNDO:
+        return undoableReducer(history, undoActions.jump(-1));
+
+      case UndoActionTypes.REDO:
+        return undoableReducer(history, undoActions.jump(1));
+
+      case UndoActionTypes.JUMP: {
+        const steps = action.payload;
+        if (steps < 0) {
+          const index = past.length + steps;
+          if (index < 0) return history;
+          return {
+            past: past.slice(0, index),
+            present: past[index],
+            future: [...past.slice(index + 1), present, ...future],
+            lastGroup: null,
+          };
+        }
+        if (steps > 0) {
+          const index = steps - 1;
+          if (index >= future.length) return history;
+          return {
+            past: [...past, present, ...future.slice(0, index)],
+            present: future[index],
+            future: future.slice(index + 1),
+            lastGroup: null,
+          };
+        }
+        return history;
+      }
+
+      case UndoActionTypes.CLEAR_HISTORY:
+        return createHistory(present);
+
+      default: {
+        const newPresent = reducer(present, action);
+        if (Object.is(newPresent, present)) return history;
+
+        // Filtered out: change the present, keep the history as it is
+        if (!filter(action)) return { ...history, present: newPresent };
+
+        // Timestamp is stamped by the hook's dispatch so the reducer stays pure
+        const key = groupBy(action);
+        const timestamp = action.meta?.timestamp;
+        const lastGroup = key != null && timestamp != null ? { key, timestamp } : null;
+        const continuesGroup =
+          lastGroup &&
+          history.lastGroup?.key === key &&
+          timestamp - history.lastGroup.timestamp <= groupWindow;
+
+        if (continuesGroup) {
+          return { past, present: newPresent, future: [], lastGroup };
+        }
+
+        return {
+          past: [...past, present].slice(-limit),
+          present: newPresent,
+          future: [], // A new change discards the redo branch
+          lastGroup,
+        };
+      }
+    }
+  };
+}
+
+// options are read together with the reducer - pass a stable object
+function useUndoableReducer(reducer, initialState, options) {
+  const undoableReducer = useMemo(() => undoable(reducer, options), [reducer, options]);
+  const [history, baseDispatch] = useReducer(undoableReducer, initialState, createHistory);
+
+  const dispatch = useCallback((action) => {
+    baseDispatch({ ...action, meta: { ...action.meta, timestamp: Date.now() } });
+  }, []);
+
+  return {
+    state: history.present,
+    dispatch,
+    undo: useCallback(() => baseDispatch(undoActions.undo()), []),
+    redo: useCallback(() => baseDispatch(undoActions.redo()), []),
+    jump: useCallback((steps) => baseDispatch(undoActions.jump(steps)), []),
+    clearHistory: useCallback(() => baseDispatch(undoActions.clearHistory()), []),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    history,
+  };
+}
+
+// Todos: every change is its own entry, keep the last 20
+const todoHistoryOptions = { limit: 20 };
+
+function UndoableTodoList() {
+  const { state, dispatch, undo, redo, canUndo, canRedo } = useUndoableReducer(
+    todoReducer,
+    initialState,
+    todoHistoryOptions
+  );
+
+  return (
+    <div>
+      <button onClick={undo} disabled={!canUndo}>Undo</button>
+      <button onClick={redo} disabled={!canRedo}>Redo</button>
+      <ul>
+        {state.items.map((todo) => (
+          <li key={todo.id} onClick={() => dispatch({ type: 'TOGGLE_TODO', payload: todo.id })}>
+            {todo.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Form: a burst of typing in one field is one entry; loading flags never are
+const formHistoryOptions = {
+  filter: (action) => !action.type.startsWith('SUBMIT_'),
+  groupBy: (action) => (action.type === 'FIELD_CHANGE' ? action.field : null),
+  groupWindow: 1000,
+};
+
+function UndoableForm() {
+  const { state, dispatch, undo, canUndo } = useUndoableReducer(
+    formReducer,
+    { name: '', email: '', loading: false, error: null },
+    formHistoryOptions
+  );
+
+  const handleChange = (e) => {
+    dispatch({ type: 'FIELD_CHANGE', field: e.target.name, value: e.target.value });
+  };
+
+  return (
+    <form>
+      <input name="name" value={state.name} onChange={handleChange} />
+      <input name="email" value={state.email} onChange={handleChange} />
+      <button type="button" onClick={undo} disabled={!canUndo}>Undo</button>
+    </form>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -264,4 +474,5 @@ function FormWithReducer() {
  * - useReducer + useContext = Mini Redux
  * - Lazy initialization for expensive initial state
  * - Split reducers for large state
+ * - Higher-order reducers (undoable) add behavior to any reducer
  */
@@ -6,7 +6,7 @@
  * non-React state management with React 18.
  */
 
-import { useSyncExternalStore, useCallback } from 'react';
+import { useSyncExternalStore, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. BASIC USAGE
@@ -141,18 +141,24 @@ function ResponsiveComponent() {
 // 4. LOCAL STORAGE
 // -------------------------------------------------------------------------------------------
 
-function useLocalStorage(key) {
-  const subscribe = (callback) => {
-    const handleStorage = (e) => {
-      if (e.key === key) callback();
-    };
-    window.addEventListener('storage', handleStorage);
-    return () => window.removeEventListener('storage', handleStorage);
-  };
+/**
+ * A storage hook is a textbook external store: subscribe to the `storage`
+ * event, read with localStorage.getItem. The shared implementation lives in
+ * customHooks.jsx - it adds same-tab and BroadcastChannel sync, serializers,
+ * schema versioning and quota handling on top of this pattern.
+ */
 
-  const getSnapshot = () => localStorage.getItem(key);
+import { useLocalStorage } from './customHooks';
 
-  return useSyncExternalStore(subscribe, getSnapshot, () => null);
+function ThemeToggle() {
+  // Flips in every open tab at once
+  const [theme, setTheme] = useLocalStorage('theme', 'light');
+
+  return (
+    <button onClick={() => setTheme((t) => (t === 'light' ? 'dark' : 'light'))}>
+      Theme: {theme}
+    </button>
+  );
 }
 
 // -------------------------------------------------------------------------------------------
@@ -174,48 +180,291 @@ function useHistoryState() {
 // 6. CUSTOM STORE PATTERN
 // -------------------------------------------------------------------------------------------
 
-function createStore(initialState) {
+/**
+ * A small store is just state + a Set of listeners. To make it reusable:
+ * - Middleware wraps setState (same store => next => update shape as Redux)
+ * - batch() groups many writes into a single notification
+ * - Writes that produce the same state reference notify nobody
+ */
+
+function createStore(initialState, { middleware = [] } = {}) {
   let state = initialState;
   const listeners = new Set();
+  let batchDepth = 0;
+  let hasPendingNotify = false;
+
+  const notify = () => {
+    if (batchDepth > 0) {
+      hasPendingNotify = true;
+      return;
+    }
+    listeners.forEach((listener) => listener());
+  };
+
+  // The innermost setState: apply the update and notify
+  const baseSetState = (updater) => {
+    const nextState = typeof updater === 'function' ? updater(state) : updater;
+    if (Object.is(nextState, state)) return;
+    state = nextState;
+    notify();
+  };
 
-  return {
+  const store = {
     getState: () => state,
-    setState: (updater) => {
-      state = typeof updater === 'function' ? updater(state) : updater;
-      listeners.forEach((listener) => listener());
-    },
+    getInitialState: () => initialState,
     subscribe: (listener) => {
       listeners.add(listener);
       return () => listeners.delete(listener);
     },
+    batch: (fn) => {
+      batchDepth += 1;
+      try {
+        return fn();
+      } finally {
+        batchDepth -= 1;
+        if (batchDepth === 0 && hasPendingNotify) {
+          hasPendingNotify = false;
+          notify();
+        }
+      }
+    },
   };
+
+  // Compose right-to-left so the first middleware in the array runs first.
+  // setState(updater, action) - action is an optional label like { type: 'todos/add' }
+  const chain = middleware.reduceRight(
+    (next, mw) => mw(store)(next),
+    baseSetState
+  );
+  store.setState = (updater, action = { type: 'setState' }) =>
+    chain(updater, typeof action === 'string' ? { type: action } : action);
+
+  return store;
 }
 
+// Middleware: log every update with the action label
+const logger = (store) => (next) => (updater, action) => {
+  console.group(action.type);
+  console.log('prev state', store.getState());
+  next(updater, action);
+  console.log('next state', store.getState());
+  console.groupEnd();
+};
+
+// Middleware: freeze state in development to catch accidental mutation
+const freeze = () => (next) => (updater, action) => {
+  next((prev) => {
+    const nextState = typeof updater === 'function' ? updater(prev) : updater;
+    return process.env.NODE_ENV !== 'production' ? Object.freeze(nextState) : nextState;
+  }, action);
+};
+
+/**
+ * DevTools bridge: speaks the Redux DevTools extension protocol.
+ * - connect() + init() registers the store and its initial state
+ * - send(action, state) records every update in the action log
+ * - DISPATCH messages from the extension drive time travel
+ */
+
+const devtools = ({ name = 'store', enabled = true } = {}) => (store) => {
+  const extension =
+    typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION__;
+
+  // No extension installed (or disabled): pass updates straight through
+  if (!enabled || !extension) return (next) => next;
+
+  const connection = extension.connect({ name });
+  let isTimeTraveling = false;
+
+  const replaceState = (nextState) => {
+    isTimeTraveling = true;
+    try {
+      store.setState(nextState, { type: '@@devtools/jump' });
+    } finally {
+      isTimeTraveling = false;
+    }
+  };
+
+  connection.init(store.getState());
+
+  connection.subscribe((message) => {
+    if (message.type !== 'DISPATCH') return;
+
+    switch (message.payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION':
+        replaceState(JSON.parse(message.state));
+        break;
+      case 'RESET':
+        replaceState(store.getInitialState());
+        connection.init(store.getState());
+        break;
+      case 'COMMIT':
+        connection.init(store.getState());
+        break;
+      case 'ROLLBACK': {
+        const committed = JSON.parse(message.state);
+        replaceState(committed);
+        connection.init(committed);
+        break;
+      }
+    }
+  });
+
+  return (next) => (updater, action) => {
+    next(updater, action);
+    // Jumps replay recorded states - don't record them again
+    if (!isTimeTraveling) connection.send(action, store.getState());
+  };
+};
+
 // Create a typed store
-const todoStore = createStore({ todos: [], filter: 'all' });
+const todoStore = createStore(
+  { todos: [], filter: 'all' },
+  {
+    middleware: [
+      freeze,
+      devtools({ name: 'todos', enabled: process.env.NODE_ENV !== 'production' }),
+    ],
+  }
+);
+
+// Actions label their updates so DevTools shows a readable log
+const todoActions = {
+  addTodo: (text) =>
+    todoStore.setState(
+      (state) => ({
+        ...state,
+        todos: [...state.todos, { id: Date.now(), text, done: false }],
+      }),
+      { type: 'todos/add', payload: text }
+    ),
+  setFilter: (filter) =>
+    todoStore.setState((state) => ({ ...state, filter }), {
+      type: 'todos/setFilter',
+      payload: filter,
+    }),
+  // Two writes, one notification
+  importTodos: (todos) =>
+    todoStore.batch(() => {
+      todoStore.setState((state) => ({ ...state, todos }), 'todos/import');
+      todoStore.setState((state) => ({ ...state, filter: 'all' }), 'todos/setFilter');
+    }),
+};
 
-// Hook to use the store
-function useTodoStore(selector) {
-  return useSyncExternalStore(
-    todoStore.subscribe,
-    () => selector(todoStore.getState())
+/**
+ * SELECTORS NEED A STABLE SNAPSHOT
+ * getSnapshot must return the same reference while the store is unchanged.
+ * `() => selector(getState())` breaks that as soon as the selector builds a
+ * new array/object (e.g. a filtered list) - React sees a "changed" snapshot
+ * on every check and re-renders forever.
+ *
+ * useStoreWithSelector caches the last (state, selection) pair and reuses the
+ * previous selection whenever equalityFn says the new one is equivalent.
+ */
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
   );
 }
 
+function useStoreWithSelector(store, selector, equalityFn = Object.is) {
+  // Last selection React actually rendered - survives new inline selectors
+  const renderedRef = useRef({ hasValue: false, value: undefined });
+
+  const [getSelection, getServerSelection] = useMemo(() => {
+    const createMemoizedSelector = () => {
+      let hasMemo = false;
+      let memoizedState;
+      let memoizedSelection;
+
+      return (nextState) => {
+        if (hasMemo && Object.is(memoizedState, nextState)) {
+          return memoizedSelection;
+        }
+
+        const nextSelection = selector(nextState);
+        const previous = hasMemo
+          ? { hasValue: true, value: memoizedSelection }
+          : renderedRef.current;
+
+        hasMemo = true;
+        memoizedState = nextState;
+        memoizedSelection =
+          previous.hasValue && equalityFn(previous.value, nextSelection)
+            ? previous.value
+            : nextSelection;
+
+        return memoizedSelection;
+      };
+    };
+
+    // Server and hydration render read the state the server rendered with
+    const getServerState =
+      store.getServerState ?? store.getInitialState ?? store.getState;
+    const selectClient = createMemoizedSelector();
+    const selectServer = createMemoizedSelector();
+
+    return [
+      () => selectClient(store.getState()),
+      () => selectServer(getServerState()),
+    ];
+  }, [store, selector, equalityFn]);
+
+  const selection = useSyncExternalStore(
+    store.subscribe,
+    getSelection,
+    getServerSelection
+  );
+
+  useEffect(() => {
+    renderedRef.current = { hasValue: true, value: selection };
+  }, [selection]);
+
+  return selection;
+}
+
+// Hook to use the store
+function useTodoStore(selector, equalityFn) {
+  return useStoreWithSelector(todoStore, selector, equalityFn);
+}
+
 // Usage
 function TodoList() {
-  const todos = useTodoStore((state) => state.todos);
-  const filter = useTodoStore((state) => state.filter);
-
-  const filteredTodos = todos.filter((todo) => {
-    if (filter === 'completed') return todo.done;
-    if (filter === 'active') return !todo.done;
-    return true;
-  });
+  // New array on every call - safe because shallowEqual keeps the old one
+  const filteredTodos = useTodoStore(
+    (state) =>
+      state.todos.filter((todo) => {
+        if (state.filter === 'completed') return todo.done;
+        if (state.filter === 'active') return !todo.done;
+        return true;
+      }),
+    shallowEqual
+  );
 
   return <ul>{filteredTodos.map((t) => <li key={t.id}>{t.text}</li>)}</ul>;
 }
 
+// Picking several fields into an object works the same way
+function TodoStats() {
+  const { total, filter } = useTodoStore(
+    (state) => ({ total: state.todos.length, filter: state.filter }),
+    shallowEqual
+  );
+
+  return <p>{total} todos ({filter})</p>;
+}
+
 // -------------------------------------------------------------------------------------------
 // 7. INTEGRATING THIRD-PARTY STORES
 // -------------------------------------------------------------------------------------------
@@ -227,11 +476,8 @@ function TodoList() {
 // Redux integration
 import { store } from './store';
 
-function useSelector(selector) {
-  return useSyncExternalStore(
-    store.subscribe,
-    () => selector(store.getState())
-  );
+function useSelector(selector, equalityFn) {
+  return useStoreWithSelector(store, selector, equalityFn);
 }
 
 // Usage
@@ -256,6 +502,45 @@ function useMediaQuerySSR(query) {
   );
 }
 
+/**
+ * Stores: the server has no subscribers and no client-side writes, so the
+ * server snapshot must be the state the HTML was rendered with. Otherwise
+ * hydration sees a mismatch and React re-renders from scratch.
+ * useStoreWithSelector reads store.getServerState(), falling back to
+ * store.getInitialState() and finally store.getState().
+ */
+
+function createServerStore(initialState, serverState = initialState) {
+  const store = createStore(initialState);
+  store.getServerState = () => serverState;
+  return store;
+}
+
+// Client state comes from a local cache, but the HTML was rendered from the
+// payload the server embedded - hydrate against that, then switch over.
+// Created per app instance, not at module load: the server has no window or
+// localStorage, and a module-level store would be shared by every request
+function createTodoStore(serverTodos) {
+  const cached =
+    typeof window === 'undefined' ? null : JSON.parse(localStorage.getItem('todos') ?? 'null');
+  return createServerStore(cached ?? serverTodos, serverTodos);
+}
+
+// Server: renderToString(<TodoApp serverTodos={todos} />)
+// Client: hydrateRoot(root, <TodoApp serverTodos={window.__INITIAL_TODOS__} />)
+function TodoApp({ serverTodos }) {
+  const [todoStore] = useState(() => createTodoStore(serverTodos));
+  const todos = useStoreWithSelector(todoStore, (state) => state);
+
+  return (
+    <ul>
+      {todos.map((todo) => (
+        <li key={todo.id}>{todo.text}</li>
+      ))}
+    </ul>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -273,10 +558,14 @@ function useMediaQuerySSR(query) {
  * - getSnapshot must return immutable value
  * - subscribe must return unsubscribe function
  * - Provide getServerSnapshot for SSR
+ * - Selectors returning new arrays/objects need memoization + equality
  *
  * BEST PRACTICES:
  * - Keep getSnapshot pure
  * - Return same object for same values
  * - Use selectors for partial state
  * - Memoize subscribe with useCallback if deps exist
+ * - Intercept writes with middleware instead of wrapping setState by hand
+ * - Use batch() when one user action causes several writes
+ * - Label updates with an action so DevTools can show and replay them
  */
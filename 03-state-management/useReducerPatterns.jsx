@@ -5,7 +5,16 @@
  * Covers action types, reducers organization, and combining with Context.
  */
 
-import { useReducer, createContext, useContext, useMemo, useCallback } from 'react';
+import {
+  useReducer,
+  useState,
+  useRef,
+  useEffect,
+  createContext,
+  useContext,
+  useMemo,
+  useCallback,
+} from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. ACTION TYPE CONSTANTS
@@ -103,9 +112,10 @@ function immerReducer(state, action) {
 
 /**
  * Split large reducers into smaller, focused reducers.
+ * Each slice reducer owns its default via the `state = ...` parameter.
  */
 
-function todosReducer(state, action) {
+function todosReducer(state = [], action) {
   switch (action.type) {
     case 'ADD_TODO':
       return [...state, action.payload];
@@ -116,7 +126,7 @@ function todosReducer(state, action) {
   }
 }
 
-function filterReducer(state, action) {
+function filterReducer(state = 'all', action) {
   switch (action.type) {
     case 'SET_FILTER':
       return action.payload;
@@ -125,14 +135,74 @@ function filterReducer(state, action) {
   }
 }
 
+/**
+ * combineReducers(reducers) - slice-aware root reducer
+ * - Returns the SAME state object when no slice changed, so memoized
+ *   context values and selectors don't re-render for no-op actions
+ * - state = undefined initializes every slice from its reducer's default
+ * - Warns (dev only) about state keys with no reducer - they are kept, since
+ *   a lazily injected reducer may claim them later - and about reducers
+ *   that return undefined (the slice keeps its previous value)
+ * - rootReducer.injectReducer(key, reducer) adds a slice at runtime, for
+ *   code-split routes; dispatch InternalActionTypes.INJECT to initialize it
+ */
+
+const InternalActionTypes = {
+  INIT: '@@combine/INIT',
+  INJECT: '@@combine/INJECT',
+};
+
 function combineReducers(reducers) {
-  return (state, action) => {
-    const newState = {};
-    for (const key in reducers) {
-      newState[key] = reducers[key](state[key], action);
+  const slices = { ...reducers };
+  const warnedKeys = new Set();
+  const isDev = process.env.NODE_ENV !== 'production';
+
+  function combination(state = {}, action) {
+    if (isDev) {
+      Object.keys(state)
+        .filter((key) => !(key in slices) && !warnedKeys.has(key))
+        .forEach((key) => {
+          warnedKeys.add(key);
+          console.warn(
+            `combineReducers: state has key "${key}" but no reducer handles it. ` +
+              'It will be kept as-is until a reducer is injected for it.'
+          );
+        });
+    }
+
+    let changedSlices = null;
+    for (const key of Object.keys(slices)) {
+      const previous = state[key];
+      const next = slices[key](previous, action);
+
+      if (next === undefined) {
+        if (isDev) {
+          console.warn(
+            `combineReducers: reducer "${key}" returned undefined for "${action.type}". ` +
+              'Return the previous state (or null) instead.'
+          );
+        }
+        continue; // Keep the previous value
+      }
+
+      if (next !== previous) {
+        changedSlices ??= {};
+        changedSlices[key] = next;
+      }
     }
-    return newState;
+
+    return changedSlices ? { ...state, ...changedSlices } : state;
+  }
+
+  // Returns false if that reducer is already in place
+  combination.injectReducer = (key, reducer) => {
+    if (slices[key] === reducer) return false;
+    slices[key] = reducer;
+    warnedKeys.delete(key);
+    return true;
   };
+
+  return combination;
 }
 
 const rootReducer = combineReducers({
@@ -147,14 +217,26 @@ const rootReducer = combineReducers({
 const TodoContext = createContext(null);
 
 function TodoProvider({ children }) {
-  const [state, dispatch] = useReducer(rootReducer, {
-    todos: [],
-    filter: 'all',
-  });
+  // Every slice starts from its reducer's default, then stored todos load in
+  const [state, dispatch, persistor] = usePersistedReducer(persistedRootReducer, undefined, () =>
+    rootReducer(undefined, { type: InternalActionTypes.INIT })
+  );
+
+  const injectReducer = useCallback((key, reducer) => {
+    if (rootReducer.injectReducer(key, reducer)) {
+      dispatch({ type: InternalActionTypes.INJECT, key });
+    }
+  }, []);
 
-  const value = useMemo(() => ({ state, dispatch }), [state]);
+  const value = useMemo(() => ({ state, dispatch, injectReducer }), [state, injectReducer]);
 
-  return <TodoContext.Provider value={value}>{children}</TodoContext.Provider>;
+  return (
+    <TodoContext.Provider value={value}>
+      <PersistGate persistor={persistor} loading={<p>Loading...</p>}>
+        {children}
+      </PersistGate>
+    </TodoContext.Provider>
+  );
 }
 
 function useTodos() {
@@ -163,6 +245,44 @@ function useTodos() {
   return context;
 }
 
+// Code-split routes bring their own slice
+function useInjectedSlice(key, reducer) {
+  const { state, injectReducer } = useTodos();
+
+  useEffect(() => {
+    injectReducer(key, reducer);
+  }, [key, reducer, injectReducer]);
+
+  // Until the INJECT dispatch lands, show the slice's default
+  return state[key] ?? reducer(undefined, { type: InternalActionTypes.INIT });
+}
+
+// settingsPage.jsx - loaded with React.lazy
+function settingsReducer(state = { compact: false }, action) {
+  switch (action.type) {
+    case 'TOGGLE_COMPACT':
+      return { ...state, compact: !state.compact };
+    default:
+      return state;
+  }
+}
+
+function SettingsPage() {
+  const settings = useInjectedSlice('settings', settingsReducer);
+  const { dispatch } = useTodos();
+
+  return (
+    <label>
+      <input
+        type="checkbox"
+        checked={settings.compact}
+        onChange={() => dispatch({ type: 'TOGGLE_COMPACT' })}
+      />
+      Compact list
+    </label>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // 6. ASYNC ACTIONS PATTERN
 // -------------------------------------------------------------------------------------------
@@ -171,10 +291,10 @@ function useTodos() {
  * Handle async operations with useReducer.
  */
 
-function createAsyncDispatch(dispatch) {
+function createAsyncDispatch(dispatch, getState) {
   return (action) => {
     if (typeof action === 'function') {
-      return action(dispatch);
+      return action(dispatch, getState);
     }
     return dispatch(action);
   };
@@ -195,7 +315,12 @@ function asyncAction() {
 // Usage
 function AsyncComponent() {
   const [state, baseDispatch] = useReducer(reducer, initialState);
-  const dispatch = createAsyncDispatch(baseDispatch);
+  // Thunks get a getter, so they read the latest committed state, not this render's
+  const stateRef = useRef(state);
+  useEffect(() => {
+    stateRef.current = state;
+  });
+  const dispatch = createAsyncDispatch(baseDispatch, () => stateRef.current);
 
   const handleFetch = () => dispatch(asyncAction());
 }
@@ -204,34 +329,393 @@ function AsyncComponent() {
 // 7. MIDDLEWARE PATTERN
 // -------------------------------------------------------------------------------------------
 
-function applyMiddleware(...middlewares) {
-  return (dispatch) => {
-    let enhancedDispatch = dispatch;
-
-    middlewares.reverse().forEach((middleware) => {
-      enhancedDispatch = middleware(enhancedDispatch);
-    });
+/**
+ * Same signature as Redux: store => next => action.
+ * `store` is { getState, dispatch, signal } - getState always reads the
+ * latest state, and dispatch re-enters the whole chain (so thunks can
+ * dispatch thunks).
+ */
 
-    return enhancedDispatch;
+function applyMiddleware(...middlewares) {
+  return (store) => {
+    let dispatch = () => {
+      throw new Error('Dispatching while constructing middleware is not allowed');
+    };
+    const api = {
+      getState: store.getState,
+      dispatch: (action) => dispatch(action),
+      get signal() {
+        return store.signal;
+      },
+    };
+
+    // Copy before reversing - reverse() mutates the caller's array
+    dispatch = [...middlewares]
+      .reverse()
+      .reduce((next, middleware) => middleware(api)(next), store.dispatch);
+
+    return dispatch;
   };
 }
 
 // Logger middleware
-const logger = (dispatch) => (action) => {
+const logger = (store) => (next) => (action) => {
   console.log('Action:', action);
-  const result = dispatch(action);
-  console.log('State updated');
+  const result = next(action);
+  console.log('Next state:', store.getState());
   return result;
 };
 
-// Thunk middleware
-const thunk = (dispatch) => (action) => {
+// Thunk middleware - store.signal is read per call, not captured up front
+const thunk = (store) => (next) => (action) => {
   if (typeof action === 'function') {
-    return action(dispatch);
+    return action(store.dispatch, store.getState, { signal: store.signal });
   }
-  return dispatch(action);
+  return next(action);
 };
 
+// -------------------------------------------------------------------------------------------
+// 8. ENHANCED REDUCER HOOK
+// -------------------------------------------------------------------------------------------
+
+/**
+ * useEnhancedReducer wires sections 6 and 7 into a useReducer replacement.
+ * - State lives in a ref that is updated synchronously on dispatch, so
+ *   getState() inside a thunk sees the result of the previous dispatch
+ *   (useReducer's state would only update on the next render)
+ * - Thunks get { signal }, aborted on unmount; later dispatches are ignored
+ * - In development a logger records every action with a state diff
+ * - middleware is read once on mount, like a store's enhancers
+ */
+
+// List of changed paths between two states
+function diffState(prev, next, path = '') {
+  if (Object.is(prev, next)) return [];
+
+  const isObject = (value) => value !== null && typeof value === 'object';
+  if (!isObject(prev) || !isObject(next) || Array.isArray(prev) !== Array.isArray(next)) {
+    return [{ path: path || '(root)', from: prev, to: next }];
+  }
+
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  return [...keys].flatMap((key) =>
+    diffState(prev[key], next[key], path ? `${path}.${key}` : key)
+  );
+}
+
+// Dev logger - keeps the last maxEntries actions on logger.entries
+function createDevLogger({ name = 'reducer', maxEntries = 100 } = {}) {
+  const entries = [];
+
+  const devLogger = (store) => (next) => (action) => {
+    const prevState = store.getState();
+    const result = next(action);
+    const nextState = store.getState();
+    const diff = diffState(prevState, nextState);
+
+    entries.push({ action, prevState, nextState, diff, time: Date.now() });
+    if (entries.length > maxEntries) entries.shift();
+
+    console.groupCollapsed(`${name} %c${action.type}`, 'font-weight: bold');
+    console.log('action', action);
+    diff.length
+      ? console.table(diff.map(({ path, from, to }) => ({ path, from, to })))
+      : console.log('no state change');
+    console.groupEnd();
+
+    return result;
+  };
+
+  devLogger.entries = entries;
+  return devLogger;
+}
+
+function useEnhancedReducer(
+  reducer,
+  initialState,
+  { middleware = [], devLogger = process.env.NODE_ENV !== 'production' } = {}
+) {
+  const [state, setState] = useState(initialState);
+  const stateRef = useRef(state);
+  const reducerRef = useRef(reducer);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    reducerRef.current = reducer;
+  });
+
+  // A fresh controller per mount - StrictMode mounts twice in development
+  useEffect(() => {
+    if (!controllerRef.current || controllerRef.current.signal.aborted) {
+      controllerRef.current = new AbortController();
+    }
+    const controller = controllerRef.current;
+    return () => controller.abort();
+  }, []);
+
+  const dispatch = useMemo(() => {
+    const store = {
+      getState: () => stateRef.current,
+      dispatch: (action) => {
+        if (controllerRef.current?.signal.aborted) return action; // Unmounted
+        stateRef.current = reducerRef.current(stateRef.current, action);
+        setState(stateRef.current);
+        return action;
+      },
+      get signal() {
+        controllerRef.current ??= new AbortController();
+        return controllerRef.current.signal;
+      },
+    };
+
+    // Logger sits last, next to the reducer, so it only sees plain actions
+    const logging = devLogger === true ? createDevLogger() : devLogger;
+    const chain = logging ? [thunk, ...middleware, logging] : [thunk, ...middleware];
+    return applyMiddleware(...chain)(store);
+  }, []);
+
+  return [state, dispatch];
+}
+
+// Thunk that reads fresh state between awaits and stops when unmounted
+function loadMoreTodos() {
+  return async (dispatch, getState, { signal }) => {
+    if (getState().loading) return; // Already loading - no stale closure here
+    dispatch({ type: 'LOADING' });
+
+    try {
+      const page = getState().page + 1;
+      const todos = await fetch(`/api/todos?page=${page}`, { signal }).then((r) => r.json());
+      dispatch({ type: 'SUCCESS', payload: { page, todos } });
+    } catch (error) {
+      if (error.name === 'AbortError') return; // Component unmounted
+      dispatch({ type: 'ERROR', payload: error.message });
+    }
+  };
+}
+
+function pagedTodosReducer(state, action) {
+  switch (action.type) {
+    case 'LOADING':
+      return { ...state, loading: true, error: null };
+    case 'SUCCESS':
+      return {
+        ...state,
+        loading: false,
+        page: action.payload.page,
+        todos: [...state.todos, ...action.payload.todos],
+      };
+    case 'ERROR':
+      return { ...state, loading: false, error: action.payload };
+    default:
+      return state;
+  }
+}
+
+// Usage
+function PagedTodos() {
+  // No `logger` in middleware - the dev logger is already on, so it would log twice
+  const [state, dispatch] = useEnhancedReducer(pagedTodosReducer, {
+    todos: [],
+    page: 0,
+    loading: false,
+    error: null,
+  });
+
+  return (
+    <div>
+      <ul>{state.todos.map((t) => <li key={t.id}>{t.text}</li>)}</ul>
+      {state.error && <p>{state.error}</p>}
+      <button onClick={() => dispatch(loadMoreTodos())} disabled={state.loading}>
+        Load more
+      </button>
+    </div>
+  );
+}
+
+// -------------------------------------------------------------------------------------------
+// 9. PERSISTENCE (persistReducer + PersistGate)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Context + useReducer state is lost on reload. persistReducer gives it what
+ * Zustand's `persist` middleware gives a store:
+ * - persistReducer(config, reducer) handles a REHYDRATE action and carries
+ *   the config; usePersistedReducer does the I/O around it
+ * - Reads once on mount, then writes at most once per `throttle` ms
+ *   (flushed on pagehide and unmount)
+ * - Nothing is written until rehydration finishes, so the initial state
+ *   can never overwrite what was stored
+ * - whitelist/blacklist pick which top-level keys are stored
+ * - migrations: { [version]: (state) => state } run in order on old data
+ * - PersistGate renders `loading` until the stored state is in place
+ *
+ * Storage adapters are async ({ getItem, setItem, removeItem } -> Promise)
+ * so localStorage and IndexedDB are interchangeable.
+ */
+
+const PersistActionTypes = {
+  REHYDRATE: '@@persist/REHYDRATE',
+};
+
+const localStorageAdapter = {
+  getItem: async (key) => localStorage.getItem(key),
+  setItem: async (key, value) => localStorage.setItem(key, value),
+  removeItem: async (key) => localStorage.removeItem(key),
+};
+
+// Minimal key-value store on IndexedDB - no size limit like localStorage's ~5MB
+export function createIndexedDBStorage(dbName = 'app-state', storeName = 'keyval') {
+  let dbPromise;
+
+  const getDB = () =>
+    (dbPromise ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+
+  const run = (mode, operation) =>
+    getDB().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(storeName, mode);
+          const request = operation(transaction.objectStore(storeName));
+          transaction.oncomplete = () => resolve(request.result);
+          transaction.onerror = () => reject(transaction.error);
+        })
+    );
+
+  return {
+    getItem: (key) => run('readonly', (store) => store.get(key)).then((value) => value ?? null),
+    setItem: (key, value) => run('readwrite', (store) => store.put(value, key)),
+    removeItem: (key) => run('readwrite', (store) => store.delete(key)),
+  };
+}
+
+function pickPersistedKeys(state, { whitelist, blacklist }) {
+  return Object.fromEntries(
+    Object.entries(state ?? {}).filter(
+      ([key]) => (!whitelist || whitelist.includes(key)) && !blacklist?.includes(key)
+    )
+  );
+}
+
+// Stored as { version, state }; returns null when there is nothing usable
+async function readPersistedState({ key, storage, version, migrations, onError }) {
+  try {
+    const raw = await storage.getItem(key);
+    if (raw === null) return null;
+
+    const stored = JSON.parse(raw);
+    if (stored.version > version) return null; // Written by a newer release
+
+    let state = stored.state;
+    for (let v = stored.version + 1; v <= version; v++) {
+      if (migrations[v]) state = migrations[v](state);
+    }
+    return state;
+  } catch (error) {
+    onError?.(error);
+    return null;
+  }
+}
+
+export function persistReducer(config, reducer) {
+  const persistConfig = {
+    storage: localStorageAdapter,
+    version: 0,
+    migrations: {},
+    throttle: 500,
+    ...config,
+  };
+
+  function persistedReducer(state, action) {
+    if (action.type === PersistActionTypes.REHYDRATE) {
+      // Only accept keys we would have written
+      return { ...state, ...pickPersistedKeys(action.payload, persistConfig) };
+    }
+    return reducer(state, action);
+  }
+
+  persistedReducer.persistConfig = persistConfig;
+  return persistedReducer;
+}
+
+// Drop-in for useReducer: returns [state, dispatch, persistor]
+export function usePersistedReducer(reducer, initialArg, init) {
+  const config = reducer.persistConfig;
+  const [state, dispatch] = useReducer(reducer, initialArg, init);
+  const [isRehydrated, setIsRehydrated] = useState(false);
+  const latestStateRef = useRef(state);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    readPersistedState(config).then((storedState) => {
+      if (cancelled) return;
+      if (storedState) dispatch({ type: PersistActionTypes.REHYDRATE, payload: storedState });
+      setIsRehydrated(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [config]);
+
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+
+    const { key, storage, version, onError } = config;
+    const persisted = pickPersistedKeys(latestStateRef.current, config);
+    return storage
+      .setItem(key, JSON.stringify({ version, state: persisted }))
+      .catch((error) => onError?.(error));
+  }, [config]);
+
+  // Trailing throttle: the first change starts the timer, later ones ride along
+  useEffect(() => {
+    latestStateRef.current = state;
+    if (isRehydrated && timerRef.current === null) {
+      timerRef.current = setTimeout(flush, config.throttle);
+    }
+  }, [state, isRehydrated, flush, config]);
+
+  // Don't lose the last throttled write when the tab closes or we unmount
+  useEffect(() => {
+    const flushPending = () => {
+      if (timerRef.current !== null) flush();
+    };
+    window.addEventListener('pagehide', flushPending);
+    return () => {
+      window.removeEventListener('pagehide', flushPending);
+      flushPending();
+    };
+  }, [flush]);
+
+  const persistor = useMemo(
+    () => ({
+      isRehydrated,
+      flush,
+      purge: () => config.storage.removeItem(config.key),
+    }),
+    [isRehydrated, flush, config]
+  );
+
+  return [state, dispatch, persistor];
+}
+
+export function PersistGate({ persistor, loading = null, children }) {
+  return persistor.isRehydrated ? children : loading;
+}
+
+// TodoProvider (section 5) stores todos and filter under "todos"
+const persistedRootReducer = persistReducer(
+  { key: 'todos', whitelist: ['todos', 'filter'] },
+  rootReducer
+);
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -242,11 +726,18 @@ const thunk = (dispatch) => (action) => {
  * 2. Action creators for encapsulation
  * 3. Reducer composition for large state
  * 4. Combined with Context for global state
+ * 5. Middleware + thunks via useEnhancedReducer
+ * 6. persistReducer + PersistGate for state that survives reloads
  *
  * BEST PRACTICES:
  * - Keep reducers pure (no side effects)
  * - Use action creators for complex payloads
  * - Split large reducers into smaller ones
+ * - Return the previous state object when nothing changed
+ * - Inject reducers lazily for code-split routes
  * - Consider Immer for complex nested updates
  * - Handle async with custom dispatch patterns
+ * - Read state with getState() in thunks, not from a render closure
+ * - Cancel in-flight async work when the component unmounts
+ * - Persist only what can't be refetched; version it from day one
  */
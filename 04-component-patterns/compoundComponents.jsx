@@ -6,7 +6,8 @@
  * Think of <select> and <option> as native compound components.
  */
 
-import { createContext, useContext, useState, Children, cloneElement } from 'react';
+import { createContext, useContext, useState, useId, Children, cloneElement } from 'react';
+import { useRovingFocus } from './headlessComponents';
 
 // -------------------------------------------------------------------------------------------
 // 1. BASIC COMPOUND COMPONENT
@@ -57,30 +58,42 @@ function App() {
 
 const TabsContext = createContext(null);
 
-function Tabs({ children, defaultIndex = 0 }) {
+// Arrow keys, Home/End, RTL and disabled tabs come from useRovingFocus
+function Tabs({ children, defaultIndex = 0, orientation = 'horizontal' }) {
+  const id = useId();
   const [activeIndex, setActiveIndex] = useState(defaultIndex);
+  const roving = useRovingFocus({ orientation, defaultIndex, onActiveChange: setActiveIndex });
 
   return (
-    <TabsContext.Provider value={{ activeIndex, setActiveIndex }}>
+    <TabsContext.Provider value={{ id, activeIndex, setActiveIndex, roving }}>
       <div className="tabs">{children}</div>
     </TabsContext.Provider>
   );
 }
 
 Tabs.List = function TabList({ children }) {
-  return <div className="tabs-list" role="tablist">{children}</div>;
+  const { roving } = useContext(TabsContext);
+  return (
+    <div className="tabs-list" role="tablist" {...roving.getContainerProps()}>
+      {children}
+    </div>
+  );
 };
 
-Tabs.Tab = function Tab({ children, index }) {
-  const { activeIndex, setActiveIndex } = useContext(TabsContext);
+Tabs.Tab = function Tab({ children, index, disabled = false }) {
+  const { id, activeIndex, setActiveIndex, roving } = useContext(TabsContext);
   const isActive = activeIndex === index;
 
   return (
     <button
+      {...roving.getItemProps(index, { disabled })}
       role="tab"
+      id={`${id}-tab-${index}`}
       aria-selected={isActive}
+      aria-controls={`${id}-panel-${index}`}
+      aria-disabled={disabled || undefined}
       className={`tab ${isActive ? 'active' : ''}`}
-      onClick={() => setActiveIndex(index)}
+      onClick={() => !disabled && setActiveIndex(index)}
     >
       {children}
     </button>
@@ -89,11 +102,23 @@ Tabs.Tab = function Tab({ children, index }) {
 
 Tabs.Panels = function TabPanels({ children }) {
   const { activeIndex } = useContext(TabsContext);
-  return <div className="tab-panels">{Children.toArray(children)[activeIndex]}</div>;
+  const panel = Children.toArray(children)[activeIndex];
+  return <div className="tab-panels">{panel && cloneElement(panel, { index: activeIndex })}</div>;
 };
 
-Tabs.Panel = function TabPanel({ children }) {
-  return <div className="tab-panel" role="tabpanel">{children}</div>;
+Tabs.Panel = function TabPanel({ children, index }) {
+  const { id } = useContext(TabsContext);
+  return (
+    <div
+      className="tab-panel"
+      role="tabpanel"
+      id={`${id}-panel-${index}`}
+      aria-labelledby={`${id}-tab-${index}`}
+      tabIndex={0}
+    >
+      {children}
+    </div>
+  );
 };
 
 // Usage
@@ -103,7 +128,7 @@ function TabsExample() {
       <Tabs.List>
         <Tabs.Tab index={0}>Tab 1</Tabs.Tab>
         <Tabs.Tab index={1}>Tab 2</Tabs.Tab>
-        <Tabs.Tab index={2}>Tab 3</Tabs.Tab>
+        <Tabs.Tab index={2} disabled>Tab 3</Tabs.Tab>
       </Tabs.List>
       <Tabs.Panels>
         <Tabs.Panel>Content for Tab 1</Tabs.Panel>
@@ -272,6 +297,7 @@ Select.Option = function Option({ children, value }) {
  * - Use context for implicit state sharing
  * - Provide sensible defaults
  * - Add proper accessibility attributes
+ * - Share keyboard behavior (roving focus) instead of re-writing it per component
  * - Document expected child components
  *
  * EXAMPLES IN LIBRARIES:
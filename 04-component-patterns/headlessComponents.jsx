@@ -6,7 +6,17 @@
  * control the rendering. Libraries like Headless UI use this pattern.
  */
 
-import { useState, useCallback, useRef, useEffect, createContext, useContext } from 'react';
+import {
+  useState,
+  useCallback,
+  useRef,
+  useEffect,
+  useMemo,
+  useId,
+  useLayoutEffect,
+  createContext,
+  useContext,
+} from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. HEADLESS TOGGLE
@@ -149,35 +159,600 @@ function CustomSelect({ options }) {
 }
 
 // -------------------------------------------------------------------------------------------
-// 3. HEADLESS DISCLOSURE/ACCORDION
+// 3. HEADLESS COMBOBOX
 // -------------------------------------------------------------------------------------------
 
-function useDisclosure(defaultOpen = false) {
-  const [isOpen, setIsOpen] = useState(defaultOpen);
+/**
+ * useSelect is a button + list. A combobox is an input + list and follows the
+ * WAI-ARIA combobox pattern: focus never leaves the input, and
+ * aria-activedescendant tells screen readers which option is highlighted.
+ *
+ * useCombobox options:
+ * - items (filtered locally) or loadOptions(query, { signal }) (debounced, cancelled)
+ * - itemToString (also called with null), getItemKey, filterItems(items, query, itemToString)
+ * - groupBy(item) => group label
+ * - multiple + defaultSelected, onChange(selected)
+ * - onCreate(text) => item | Promise<item>: offers "Create ..." when nothing matches exactly.
+ *   While it runs isCreating is true; if it throws, createError is set and the list stays open
+ * - optionHeight: set it to virtualize - every row (options and group labels) has that height
+ *
+ * Rows are flat: { type: 'group' | 'option' | 'create', ... }. Arrow keys skip
+ * group rows. Render visibleRows; with virtualization that's only the rows in view.
+ */
+
+function defaultFilterItems(items, query, itemToString) {
+  const normalized = query.trim().toLowerCase();
+  if (!normalized) return items;
+  return items.filter((item) => itemToString(item).toLowerCase().includes(normalized));
+}
+
+function useCombobox({
+  items = [],
+  loadOptions,
+  itemToString = (item) => item?.label ?? '',
+  getItemKey = (item) => item.value,
+  filterItems = defaultFilterItems,
+  groupBy,
+  multiple = false,
+  defaultSelected = multiple ? [] : null,
+  onChange,
+  onCreate,
+  debounce = 250,
+  optionHeight,
+  listHeight = 300,
+  overscan = 5,
+}) {
+  const id = useId();
+  const inputId = `${id}-input`;
+  const labelId = `${id}-label`;
+  const listboxId = `${id}-listbox`;
+
+  const inputRef = useRef(null);
+  const listboxRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [selected, setSelected] = useState(defaultSelected);
+  const [inputValue, setInputValue] = useState(multiple ? '' : itemToString(defaultSelected));
+  const [isTyping, setIsTyping] = useState(false); // Only typed text filters the list
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const [remote, setRemote] = useState({ items: [], loading: false, error: null });
+  const [creation, setCreation] = useState({ isCreating: false, error: null });
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const query = isTyping ? inputValue : '';
+
+  // Async options: wait for a typing pause, abort the previous request
+  const loadOptionsRef = useRef(loadOptions);
+  useEffect(() => {
+    loadOptionsRef.current = loadOptions;
+  });
+
+  const isAsync = Boolean(loadOptions);
+  useEffect(() => {
+    if (!isAsync || !isOpen) return;
+
+    const controller = new AbortController();
+    setRemote((prev) => ({ ...prev, loading: true, error: null }));
+    const timer = setTimeout(async () => {
+      try {
+        const result = await loadOptionsRef.current(query, { signal: controller.signal });
+        if (!controller.signal.aborted) setRemote({ items: result, loading: false, error: null });
+      } catch (error) {
+        if (!controller.signal.aborted) setRemote({ items: [], loading: false, error });
+      }
+    }, debounce);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isAsync, isOpen, query, debounce]);
+
+  // Callbacks are usually inline arrows - read them from a ref so the
+  // memoized rows only change when the data or the text does
+  const callbacksRef = useRef({ itemToString, filterItems, groupBy });
+  useEffect(() => {
+    callbacksRef.current = { itemToString, filterItems, groupBy };
+  });
+
+  const matches = useMemo(() => {
+    const { filterItems, itemToString } = callbacksRef.current;
+    return isAsync ? remote.items : filterItems(items, query, itemToString);
+  }, [isAsync, remote.items, items, query]);
+
+  const canCreate = Boolean(onCreate);
+  const rows = useMemo(() => {
+    const { itemToString, groupBy } = callbacksRef.current;
+    const result = [];
+    if (groupBy) {
+      const groups = new Map();
+      matches.forEach((item) => {
+        const group = groupBy(item);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(item);
+      });
+      groups.forEach((groupItems, label) => {
+        result.push({ type: 'group', label });
+        groupItems.forEach((item) => result.push({ type: 'option', item, label: itemToString(item) }));
+      });
+    } else {
+      matches.forEach((item) => result.push({ type: 'option', item, label: itemToString(item) }));
+    }
+
+    const text = inputValue.trim();
+    const exists = matches.some((item) => itemToString(item).toLowerCase() === text.toLowerCase());
+    if (canCreate && isTyping && text && !exists) {
+      result.push({ type: 'create', label: text });
+    }
+
+    return result.map((row, index) => ({ ...row, id: `${id}-row-${index}` }));
+  }, [matches, canCreate, isTyping, inputValue, id]);
+
+  const selectedItems = multiple ? selected : selected ? [selected] : [];
+  const isSelected = (item) => selectedItems.some((s) => getItemKey(s) === getItemKey(item));
+
+  // Next non-group row in direction step, wrapping around
+  function findNavigable(from, step) {
+    const count = rows.length;
+    const start = from === -1 && step < 0 ? count : from;
+    for (let i = 1; i <= count; i++) {
+      const index = (((start + step * i) % count) + count) % count;
+      if (rows[index].type !== 'group') return index;
+    }
+    return -1;
+  }
+
+  // Typing highlights the first match so Enter picks it
+  useEffect(() => {
+    setHighlightedIndex(isTyping && rows.length ? findNavigable(-1, 1) : -1);
+  }, [rows]);
+
+  // Keep the highlighted option in view (and rendered, when virtualized)
+  useEffect(() => {
+    const listbox = listboxRef.current;
+    if (!listbox || highlightedIndex === -1) return;
+    if (optionHeight) {
+      const top = highlightedIndex * optionHeight;
+      if (top < listbox.scrollTop) listbox.scrollTop = top;
+      else if (top + optionHeight > listbox.scrollTop + listHeight) {
+        listbox.scrollTop = top + optionHeight - listHeight;
+      }
+    } else {
+      document.getElementById(rows[highlightedIndex]?.id)?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [highlightedIndex]);
+
+  const open = () => setIsOpen(true);
+  const close = () => {
+    setIsOpen(false);
+    setIsTyping(false);
+    setHighlightedIndex(-1);
+    if (!multiple) setInputValue(itemToString(selected)); // Drop half-typed text
+  };
+
+  function updateSelected(next) {
+    setSelected(next);
+    onChange?.(next);
+  }
+
+  async function commit(row) {
+    let item = row.item;
+    if (row.type === 'create') {
+      if (creation.isCreating) return;
+      setCreation({ isCreating: true, error: null });
+      try {
+        item = await onCreate(row.label);
+      } catch (error) {
+        setCreation({ isCreating: false, error });
+        setIsOpen(true); // Let the user retry or pick something else
+        return;
+      }
+      setCreation({ isCreating: false, error: null });
+      if (!item) return;
+    }
+
+    if (multiple) {
+      updateSelected(
+        isSelected(item)
+          ? selected.filter((s) => getItemKey(s) !== getItemKey(item))
+          : [...selected, item]
+      );
+      setInputValue('');
+      setIsTyping(false); // Stay open for the next pick
+    } else {
+      updateSelected(item);
+      setInputValue(itemToString(item));
+      setIsTyping(false);
+      setIsOpen(false);
+    }
+  }
+
+  function removeItem(item) {
+    updateSelected(selected.filter((s) => getItemKey(s) !== getItemKey(item)));
+    inputRef.current?.focus();
+  }
+
+  function handleKeyDown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault();
+        if (!isOpen) {
+          open();
+          if (e.altKey) return; // Alt+Down opens without moving
+        }
+        setHighlightedIndex((index) => findNavigable(index, e.key === 'ArrowDown' ? 1 : -1));
+        break;
+      }
+      case 'Enter':
+        if (isOpen && highlightedIndex !== -1) {
+          e.preventDefault();
+          commit(rows[highlightedIndex]);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          e.preventDefault(); // Tells an enclosing dialog not to close too
+          close();
+        } else if (!multiple) {
+          setInputValue('');
+          updateSelected(null);
+        }
+        break;
+      case 'Backspace':
+        if (multiple && inputValue === '' && selected.length) {
+          removeItem(selected[selected.length - 1]);
+        }
+        break;
+    }
+  }
+
+  // Virtualization: render only the rows in view, positioned absolutely
+  let visibleRows = rows.map((row, index) => ({ row, index }));
+  if (optionHeight) {
+    const start = Math.max(0, Math.floor(scrollTop / optionHeight) - overscan);
+    const end = Math.min(rows.length, Math.ceil((scrollTop + listHeight) / optionHeight) + overscan);
+    visibleRows = visibleRows.slice(start, end);
+  }
+  const getRowStyle = (index) =>
+    optionHeight
+      ? { position: 'absolute', top: index * optionHeight, height: optionHeight, left: 0, right: 0 }
+      : undefined;
+
+  const optionCount = rows.filter((row) => row.type !== 'group').length;
+
+  return {
+    isOpen,
+    inputValue,
+    selectedItems,
+    rows,
+    visibleRows,
+    highlightedIndex,
+    loading: remote.loading,
+    error: remote.error,
+    isCreating: creation.isCreating,
+    createError: creation.error,
+    // For a role="status" element next to the input
+    statusText: creation.isCreating
+      ? 'Creating…'
+      : remote.loading
+        ? 'Loading…'
+        : `${optionCount} option${optionCount === 1 ? '' : 's'} available`,
+    open,
+    close,
+    removeItem,
+    getLabelProps: () => ({ id: labelId, htmlFor: inputId }),
+    getInputProps: () => ({
+      ref: inputRef,
+      id: inputId,
+      role: 'combobox',
+      autoComplete: 'off',
+      'aria-autocomplete': 'list',
+      'aria-expanded': isOpen,
+      'aria-controls': listboxId,
+      'aria-activedescendant':
+        isOpen && highlightedIndex !== -1 ? rows[highlightedIndex]?.id : undefined,
+      value: inputValue,
+      onChange: (e) => {
+        setInputValue(e.target.value);
+        setIsTyping(true);
+        setCreation((prev) => (prev.error ? { ...prev, error: null } : prev));
+        open();
+      },
+      onKeyDown: handleKeyDown,
+      onClick: open,
+      onBlur: close,
+    }),
+    getToggleButtonProps: () => ({
+      type: 'button',
+      tabIndex: -1, // The input is the single tab stop
+      'aria-label': 'Show options',
+      'aria-expanded': isOpen,
+      'aria-controls': listboxId,
+      onMouseDown: (e) => e.preventDefault(), // Don't blur the input
+      onClick: () => {
+        if (isOpen) close();
+        else open();
+        inputRef.current?.focus();
+      },
+    }),
+    getListboxProps: () => ({
+      ref: listboxRef,
+      id: listboxId,
+      role: 'listbox',
+      'aria-labelledby': labelId,
+      'aria-multiselectable': multiple || undefined,
+      onMouseDown: (e) => e.preventDefault(), // Keep focus (and the list open) in the input
+      onScroll: (e) => setScrollTop(e.currentTarget.scrollTop),
+      style: optionHeight ? { height: listHeight, overflowY: 'auto', position: 'relative' } : undefined,
+    }),
+    // Sizes the scroll area when virtualized; render the rows inside it
+    getListboxInnerProps: () => ({
+      style: optionHeight ? { height: rows.length * optionHeight } : undefined,
+    }),
+    getGroupLabelProps: (index) => ({
+      id: rows[index].id,
+      role: 'presentation',
+      style: getRowStyle(index),
+    }),
+    getOptionProps: (index) => {
+      const row = rows[index];
+      return {
+        id: row.id,
+        role: 'option',
+        'aria-selected': row.type === 'option' && isSelected(row.item),
+        // Only part of the list is in the DOM when virtualized
+        'aria-setsize': optionHeight ? optionCount : undefined,
+        'aria-posinset': optionHeight
+          ? rows.slice(0, index + 1).filter((r) => r.type !== 'group').length
+          : undefined,
+        'data-highlighted': highlightedIndex === index,
+        onClick: () => commit(row),
+        onMouseMove: () => setHighlightedIndex(index),
+        style: getRowStyle(index),
+      };
+    },
+    getRemoveButtonProps: (item) => ({
+      type: 'button',
+      tabIndex: -1,
+      'aria-label': `Remove ${itemToString(item)}`,
+      onClick: () => removeItem(item),
+    }),
+  };
+}
+
+// Shared markup for the examples below
+function ComboboxList({ combobox }) {
+  const { isOpen, visibleRows, highlightedIndex, getListboxProps, getListboxInnerProps } = combobox;
+
+  return (
+    <div {...getListboxProps()} hidden={!isOpen}>
+      <div role="presentation" {...getListboxInnerProps()}>
+        {visibleRows.map(({ row, index }) =>
+          row.type === 'group' ? (
+            <div key={row.id} {...combobox.getGroupLabelProps(index)} className="combobox-group">
+              {row.label}
+            </div>
+          ) : (
+            <div
+              key={row.id}
+              {...combobox.getOptionProps(index)}
+              className={highlightedIndex === index ? 'highlighted' : ''}
+            >
+              {row.type === 'create' ? `Create "${row.label}"` : row.label}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Usage - thousands of cities, grouped by country, virtualized
+function CityPicker({ cities, onChange }) {
+  const combobox = useCombobox({
+    items: cities,
+    itemToString: (city) => city?.name ?? '',
+    getItemKey: (city) => city.id,
+    groupBy: (city) => city.country,
+    onChange,
+    optionHeight: 32,
+  });
+
+  return (
+    <div className="combobox">
+      <label {...combobox.getLabelProps()}>City</label>
+      <input {...combobox.getInputProps()} />
+      <button {...combobox.getToggleButtonProps()}>▾</button>
+      <ComboboxList combobox={combobox} />
+    </div>
+  );
+}
+
+// Usage - async search, multi-select chips, create new tags
+function TagPicker({ onChange }) {
+  const combobox = useCombobox({
+    loadOptions: async (query, { signal }) => {
+      const res = await fetch(`/api/tags?q=${encodeURIComponent(query)}`, { signal });
+      return res.json();
+    },
+    itemToString: (tag) => tag?.name ?? '',
+    getItemKey: (tag) => tag.id,
+    multiple: true,
+    onChange,
+    onCreate: async (name) => {
+      const res = await fetch('/api/tags', { method: 'POST', body: JSON.stringify({ name }) });
+      if (!res.ok) throw new Error(`Couldn't create "${name}"`);
+      return res.json();
+    },
+  });
+
+  return (
+    <div className="combobox">
+      <label {...combobox.getLabelProps()}>Tags</label>
+      <ul className="chips" aria-label="Selected tags">
+        {combobox.selectedItems.map((tag) => (
+          <li key={tag.id} className="chip">
+            {tag.name}
+            <button {...combobox.getRemoveButtonProps(tag)}>×</button>
+          </li>
+        ))}
+      </ul>
+      <input {...combobox.getInputProps()} />
+      <span role="status" className="visually-hidden">
+        {combobox.isOpen ? combobox.statusText : ''}
+      </span>
+      {combobox.createError && <p role="alert">{combobox.createError.message}</p>}
+      <ComboboxList combobox={combobox} />
+    </div>
+  );
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. HEADLESS DISCLOSURE/ACCORDION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * useDisclosure({ defaultOpen, isOpen, onOpenChange, value, duration })
+ * - IDs come from useId, so many disclosures can share a page
+ * - Controlled when isOpen is passed; onOpenChange fires either way
+ * - Inside a DisclosureGroup the group owns the open state; value names the
+ *   item (defaults to its generated id)
+ * - Height animates open and closed unless the user prefers reduced motion
+ */
+
+const DisclosureGroupContext = createContext(null);
+
+function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// type="single": opening one closes the others; collapsible={false} keeps one open
+function DisclosureGroup({
+  type = 'single',
+  collapsible = true,
+  defaultExpanded = [],
+  expanded: expandedProp,
+  onExpandedChange,
+  children,
+}) {
+  const [uncontrolledExpanded, setUncontrolledExpanded] = useState(defaultExpanded);
+  const expanded = expandedProp ?? uncontrolledExpanded;
+
+  const setItemOpen = useCallback((value, open) => {
+    let next;
+    if (type === 'single') next = open ? [value] : collapsible ? [] : expanded;
+    else next = open ? [...expanded, value] : expanded.filter((v) => v !== value);
+    if (next === expanded) return;
+
+    if (expandedProp === undefined) setUncontrolledExpanded(next);
+    onExpandedChange?.(next);
+  }, [type, collapsible, expanded, expandedProp, onExpandedChange]);
+
+  const context = useMemo(() => ({
+    isItemOpen: (value) => expanded.includes(value),
+    // The open item of a non-collapsible single group can't be closed
+    isItemLocked: (value) => type === 'single' && !collapsible && expanded.includes(value),
+    setItemOpen,
+  }), [expanded, type, collapsible, setItemOpen]);
+
+  return (
+    <DisclosureGroupContext.Provider value={context}>{children}</DisclosureGroupContext.Provider>
+  );
+}
+
+function useDisclosure({
+  defaultOpen = false,
+  isOpen: isOpenProp,
+  onOpenChange,
+  value,
+  duration = 200,
+} = {}) {
+  const id = useId();
+  const buttonId = `${id}-button`;
+  const contentId = `${id}-content`;
+  const itemValue = value ?? id;
+
+  const group = useContext(DisclosureGroupContext);
+  const [uncontrolledOpen, setUncontrolledOpen] = useState(defaultOpen);
+  const isOpen = group ? group.isItemOpen(itemValue) : isOpenProp ?? uncontrolledOpen;
+
+  const setOpen = useCallback((next) => {
+    if (group) {
+      group.setItemOpen(itemValue, next);
+      return;
+    }
+    if (isOpenProp === undefined) setUncontrolledOpen(next);
+    onOpenChange?.(next);
+  }, [group, itemValue, isOpenProp, onOpenChange]);
+
+  const toggle = useCallback(() => setOpen(!isOpen), [setOpen, isOpen]);
+  const open = useCallback(() => setOpen(true), [setOpen]);
+  const close = useCallback(() => setOpen(false), [setOpen]);
+
+  // Content stays in the DOM until its close animation ends
   const contentRef = useRef(null);
+  const animationRef = useRef(null);
+  const isFirstRenderRef = useRef(true);
+  const [isVisible, setIsVisible] = useState(isOpen);
 
-  const toggle = useCallback(() => setIsOpen((o) => !o), []);
-  const open = useCallback(() => setIsOpen(true), []);
-  const close = useCallback(() => setIsOpen(false), []);
+  useLayoutEffect(() => {
+    if (isFirstRenderRef.current) {
+      isFirstRenderRef.current = false;
+      return;
+    }
+    const el = contentRef.current;
+    if (isOpen) setIsVisible(true);
+    if (!el || prefersReducedMotion()) {
+      if (!isOpen) setIsVisible(false);
+      return;
+    }
+
+    // Reversing mid-animation starts from the current height instead of jumping
+    const from = animationRef.current
+      ? el.getBoundingClientRect().height
+      : isOpen ? 0 : el.scrollHeight;
+    animationRef.current?.cancel();
+    const to = isOpen ? el.scrollHeight : 0;
+
+    el.style.overflow = 'hidden';
+    const animation = el.animate([{ height: `${from}px` }, { height: `${to}px` }], {
+      duration,
+      easing: 'ease-in-out',
+    });
+    animationRef.current = animation;
+    animation.onfinish = () => {
+      el.style.overflow = '';
+      animationRef.current = null;
+      if (!isOpen) setIsVisible(false);
+    };
+  }, [isOpen, duration]);
+
+  const isLocked = group?.isItemLocked(itemValue) ?? false;
 
   const getButtonProps = useCallback(() => ({
-    onClick: toggle,
+    id: buttonId,
+    onClick: () => {
+      if (!isLocked) toggle();
+    },
     'aria-expanded': isOpen,
-    'aria-controls': 'disclosure-content',
-  }), [toggle, isOpen]);
+    'aria-controls': contentId,
+    'aria-disabled': isLocked || undefined,
+  }), [buttonId, contentId, toggle, isOpen, isLocked]);
 
   const getContentProps = useCallback(() => ({
-    id: 'disclosure-content',
+    id: contentId,
     ref: contentRef,
-    hidden: !isOpen,
-  }), [isOpen]);
+    role: 'region',
+    'aria-labelledby': buttonId,
+    hidden: !isOpen && !isVisible,
+  }), [contentId, buttonId, isOpen, isVisible]);
 
   return { isOpen, toggle, open, close, getButtonProps, getContentProps };
 }
 
 // Usage
-function FAQ({ question, answer }) {
-  const { isOpen, getButtonProps, getContentProps } = useDisclosure();
+function FAQ({ question, answer, value }) {
+  const { isOpen, getButtonProps, getContentProps } = useDisclosure({ value });
 
   return (
     <div className="faq-item">
@@ -192,68 +767,531 @@ function FAQ({ question, answer }) {
   );
 }
 
+// Usage - accordion: one answer open at a time
+function FAQList({ items }) {
+  return (
+    <DisclosureGroup type="single" defaultExpanded={[items[0]?.id]}>
+      {items.map((item) => (
+        <FAQ key={item.id} value={item.id} question={item.question} answer={item.answer} />
+      ))}
+    </DisclosureGroup>
+  );
+}
+
+// Usage - controlled: the parent owns isOpen
+function FilterPanel({ children }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const { getButtonProps, getContentProps } = useDisclosure({ isOpen, onOpenChange: setIsOpen });
+
+  return (
+    <section>
+      <button {...getButtonProps()}>Filters</button>
+      <div {...getContentProps()}>{children}</div>
+    </section>
+  );
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. HEADLESS ROVING FOCUS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Composite widgets (tabs, toolbars, menus, grids) are one Tab stop; arrow
+ * keys move between their items. "Roving tabindex": the active item has
+ * tabIndex 0, every other item -1, and moving focus moves the 0.
+ *
+ * useRovingFocus options:
+ * - orientation: 'horizontal' | 'vertical' | 'both' | 'grid' (with columns)
+ * - loop: wrap at the ends (grids never wrap)
+ * - dir: 'ltr' | 'rtl' - read from the container's CSS direction when omitted;
+ *   in RTL, ArrowLeft moves forward
+ * - Home/End: first/last item (in a grid: of the row; with Ctrl: of the grid)
+ * - Disabled items are skipped; typing jumps to the next item whose text
+ *   starts with what was typed (repeat a letter to cycle)
+ * - onActiveChange(index) fires when focus lands on another item
+ *
+ * Keys are only handled when an item itself is focused, so nested composites
+ * (a submenu inside a menu) don't move their parent too.
+ */
+
+const TYPEAHEAD_RESET_MS = 500;
+
+export function useRovingFocus({
+  orientation = 'horizontal',
+  columns = 1,
+  loop = true,
+  dir,
+  typeahead = true,
+  defaultIndex = 0,
+  onActiveChange,
+} = {}) {
+  const [activeIndex, setActiveIndex] = useState(defaultIndex);
+  const itemsRef = useRef([]); // index -> { el, disabled, textValue }
+  const typeaheadRef = useRef({ text: '', timer: null });
+
+  const onActiveChangeRef = useRef(onActiveChange);
+  useEffect(() => {
+    onActiveChangeRef.current = onActiveChange;
+  });
+
+  useEffect(() => () => clearTimeout(typeaheadRef.current.timer), []);
+
+  const isEnabled = (index) => {
+    const item = itemsRef.current[index];
+    return Boolean(item?.el) && !item.disabled;
+  };
+
+  // First enabled index stepping from start (exclusive); -1 if none
+  const findEnabled = (start, step, wrap) => {
+    const count = itemsRef.current.length;
+    let index = start;
+    for (let i = 0; i < count; i++) {
+      index += step;
+      if (index < 0 || index >= count) {
+        if (!wrap) return -1;
+        index = (index + count) % count;
+      }
+      if (isEnabled(index)) return index;
+    }
+    return -1;
+  };
+
+  const focusItem = useCallback((index) => {
+    itemsRef.current[index]?.el?.focus(); // onFocus makes it active
+  }, []);
+
+  const focusFirst = useCallback(() => focusItem(findEnabled(-1, 1, false)), [focusItem]);
+  const focusLast = useCallback(
+    () => focusItem(findEnabled(itemsRef.current.length, -1, false)),
+    [focusItem]
+  );
+
+  const matchTypeahead = (char, current) => {
+    const state = typeaheadRef.current;
+    clearTimeout(state.timer);
+    state.text += char.toLowerCase();
+    state.timer = setTimeout(() => (state.text = ''), TYPEAHEAD_RESET_MS);
+
+    // "b", "b", "b" cycles through items starting with b; "bl" narrows
+    const isRepeat = [...state.text].every((c) => c === state.text[0]);
+    const search = isRepeat ? state.text[0] : state.text;
+    const start = isRepeat ? current + 1 : current;
+    const count = itemsRef.current.length;
+
+    for (let i = 0; i < count; i++) {
+      const index = (start + i) % count;
+      if (isEnabled(index) && itemsRef.current[index].textValue.toLowerCase().startsWith(search)) {
+        return index;
+      }
+    }
+    return -1;
+  };
+
+  const handleKeyDown = (e) => {
+    const current = itemsRef.current.findIndex((item) => item?.el === e.target);
+    if (current === -1) return;
+
+    const isRtl = (dir ?? getComputedStyle(e.currentTarget).direction) === 'rtl';
+    const isGrid = orientation === 'grid';
+    const horizontal = orientation !== 'vertical';
+    const vertical = orientation !== 'horizontal';
+    const wrap = loop && !isGrid;
+    const count = itemsRef.current.length;
+    let next;
+
+    if (horizontal && e.key === (isRtl ? 'ArrowLeft' : 'ArrowRight')) {
+      next = findEnabled(current, 1, wrap);
+    } else if (horizontal && e.key === (isRtl ? 'ArrowRight' : 'ArrowLeft')) {
+      next = findEnabled(current, -1, wrap);
+    } else if (vertical && e.key === 'ArrowDown') {
+      next = findEnabled(current, isGrid ? columns : 1, wrap);
+    } else if (vertical && e.key === 'ArrowUp') {
+      next = findEnabled(current, isGrid ? -columns : -1, wrap);
+    } else if (e.key === 'Home' || e.key === 'End') {
+      const rowStart = current - (current % columns);
+      const [from, to] = isGrid && !e.ctrlKey ? [rowStart, Math.min(rowStart + columns, count) - 1] : [0, count - 1];
+      next = e.key === 'Home' ? findEnabled(from - 1, 1, false) : findEnabled(to + 1, -1, false);
+      if (next < from || next > to) next = -1;
+    } else if (
+      typeahead &&
+      e.key.length === 1 &&
+      !e.ctrlKey && !e.metaKey && !e.altKey &&
+      !(e.key === ' ' && typeaheadRef.current.text === '') // A lone Space activates
+    ) {
+      next = matchTypeahead(e.key, current);
+    } else {
+      return;
+    }
+
+    e.preventDefault(); // Also at the ends, so arrows don't scroll the page
+    if (next !== -1) focusItem(next);
+  };
+
+  return {
+    activeIndex,
+    setActiveIndex,
+    focusItem,
+    focusFirst,
+    focusLast,
+    getContainerProps: () => ({
+      onKeyDown: handleKeyDown,
+      'aria-orientation':
+        orientation === 'horizontal' || orientation === 'vertical' ? orientation : undefined,
+    }),
+    getItemProps: (index, { disabled = false, textValue } = {}) => ({
+      ref: (el) => {
+        itemsRef.current[index] = el
+          ? { el, disabled, textValue: textValue ?? el.textContent.trim() }
+          : undefined;
+      },
+      tabIndex: index === activeIndex ? 0 : -1,
+      'data-active': index === activeIndex || undefined,
+      onFocus: () => {
+        if (index === activeIndex) return;
+        setActiveIndex(index);
+        onActiveChangeRef.current?.(index);
+      },
+    }),
+  };
+}
+
+// Usage - grid of color swatches, 8 per row
+const SWATCH_COLUMNS = 8;
+
+function SwatchGrid({ colors, onPick }) {
+  const roving = useRovingFocus({ orientation: 'grid', columns: SWATCH_COLUMNS });
+
+  // role="grid" needs rows of cells; the buttons inside keep their own role
+  const rows = [];
+  for (let start = 0; start < colors.length; start += SWATCH_COLUMNS) {
+    rows.push(colors.slice(start, start + SWATCH_COLUMNS));
+  }
+
+  return (
+    <div role="grid" aria-label="Colors" {...roving.getContainerProps()} className="swatches">
+      {rows.map((row, rowIndex) => (
+        <div key={rowIndex} role="row" className="swatches-row">
+          {row.map((color, colIndex) => (
+            <div key={color.hex} role="gridcell">
+              <button
+                aria-label={color.name}
+                style={{ background: color.hex }}
+                onClick={() => onPick(color)}
+                {...roving.getItemProps(rowIndex * SWATCH_COLUMNS + colIndex, { textValue: color.name })}
+              />
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
-// 4. HEADLESS TAB
+// 6. HEADLESS TAB
 // -------------------------------------------------------------------------------------------
 
-function useTabs({ tabs, defaultIndex = 0 }) {
+/**
+ * Tabs on useRovingFocus. activation: 'automatic' selects a tab as soon as
+ * it's focused; 'manual' waits for Enter/Space/click (use it when panels are
+ * slow to render).
+ */
+
+export function useTabs({ tabs, defaultIndex = 0, orientation = 'horizontal', activation = 'automatic' }) {
+  const id = useId();
   const [activeIndex, setActiveIndex] = useState(defaultIndex);
+  const roving = useRovingFocus({
+    orientation,
+    defaultIndex,
+    onActiveChange: (index) => {
+      if (activation === 'automatic') setActiveIndex(index);
+    },
+  });
 
-  const getTabProps = useCallback((index) => ({
+  const getTabListProps = () => ({
+    role: 'tablist',
+    ...roving.getContainerProps(),
+  });
+
+  const getTabProps = (index) => ({
+    ...roving.getItemProps(index, { disabled: tabs[index].disabled, textValue: tabs[index].label }),
     role: 'tab',
+    id: `${id}-tab-${index}`,
     'aria-selected': activeIndex === index,
-    tabIndex: activeIndex === index ? 0 : -1,
-    onClick: () => setActiveIndex(index),
-    onKeyDown: (e) => {
-      if (e.key === 'ArrowRight') {
-        setActiveIndex((i) => (i + 1) % tabs.length);
-      } else if (e.key === 'ArrowLeft') {
-        setActiveIndex((i) => (i - 1 + tabs.length) % tabs.length);
-      }
+    'aria-controls': `${id}-panel-${index}`,
+    'aria-disabled': tabs[index].disabled || undefined,
+    onClick: () => {
+      if (!tabs[index].disabled) setActiveIndex(index);
     },
-  }), [activeIndex, tabs.length]);
+  });
 
-  const getPanelProps = useCallback((index) => ({
+  const getPanelProps = (index) => ({
     role: 'tabpanel',
+    id: `${id}-panel-${index}`,
+    'aria-labelledby': `${id}-tab-${index}`,
     hidden: activeIndex !== index,
     tabIndex: 0,
-  }), [activeIndex]);
+  });
+
+  return { activeIndex, setActiveIndex, getTabListProps, getTabProps, getPanelProps };
+}
+
+// -------------------------------------------------------------------------------------------
+// 7. HEADLESS MENU
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Menu button + menu, following the WAI-ARIA menu pattern.
+ * useMenu() is a root menu; useMenu({ parent, index }) is the submenu opened
+ * by item `index` of `parent`. Each level is a vertical roving-focus list.
+ * - Trigger: Enter/Space/ArrowDown open on the first item, ArrowUp on the last
+ * - ArrowRight (ArrowLeft in RTL) / Enter opens a submenu, the opposite arrow
+ *   or Escape closes it and focus returns to its item
+ * - Escape on the root menu closes it and focuses the trigger; Tab closes all
+ * - Hovering an item focuses it and opens (or closes) submenus
+ */
+
+export function useMenu({ parent, index: parentIndex, dir } = {}) {
+  const id = useId();
+  const isRoot = !parent;
+  const rootId = parent?.rootId ?? id;
+  const triggerRef = useRef(null);
+
+  const [rootOpen, setRootOpen] = useState(null); // null | { focus: 'first' | 'last' | null }
+  const [openChild, setOpenChild] = useState(null); // null | { index, focus }
+  const openState = isRoot ? rootOpen : parent.openChild?.index === parentIndex ? parent.openChild : null;
+  const isOpen = Boolean(openState) && (isRoot || parent.isOpen);
+
+  const roving = useRovingFocus({ orientation: 'vertical', dir });
+
+  // Keyboard/click opens move focus in; hover opens don't
+  useEffect(() => {
+    if (!isOpen) return;
+    if (openState.focus === 'first') roving.focusFirst();
+    else if (openState.focus === 'last') roving.focusLast();
+  }, [isOpen, openState?.focus]);
+
+  const open = (focus = 'first') => {
+    if (isRoot) setRootOpen({ focus });
+    else parent.openSubmenu(parentIndex, focus);
+  };
+
+  // Closes this level; focus goes back to what opened it
+  const close = ({ restoreFocus = true } = {}) => {
+    setOpenChild(null);
+    if (isRoot) {
+      setRootOpen(null);
+      if (restoreFocus) triggerRef.current?.focus();
+    } else {
+      parent.openSubmenu(null);
+      if (restoreFocus) parent.focusItem(parentIndex);
+    }
+  };
+
+  const closeAll = (options) => (isRoot ? close(options) : parent.closeAll(options));
+
+  // Click outside the trigger and every menu of this tree
+  useEffect(() => {
+    if (!isRoot || !isOpen) return;
+    const handlePointerDown = (e) => {
+      if (triggerRef.current?.contains(e.target)) return;
+      if (e.target.closest?.(`[data-menu-root="${rootId}"]`)) return;
+      close({ restoreFocus: false });
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [isRoot, isOpen, rootId]);
+
+  const isRtl = (el) => (dir ?? getComputedStyle(el).direction) === 'rtl';
+
+  const handleMenuKeyDown = (e) => {
+    if (e.target.closest('[role="menu"]') !== e.currentTarget) return; // From a submenu
+    const closeKey = isRtl(e.currentTarget) ? 'ArrowRight' : 'ArrowLeft';
 
-  return { activeIndex, setActiveIndex, getTabProps, getPanelProps };
+    if (e.key === 'Escape' || (!isRoot && e.key === closeKey)) {
+      e.preventDefault(); // An enclosing dialog stays open
+      close();
+    } else if (e.key === 'Tab') {
+      closeAll({ restoreFocus: false }); // Let Tab move on from the trigger's position
+    } else {
+      roving.getContainerProps().onKeyDown(e);
+    }
+  };
+
+  return {
+    isOpen,
+    rootId,
+    openChild,
+    openSubmenu: (index, focus = null) => setOpenChild(index === null ? null : { index, focus }),
+    focusItem: roving.focusItem,
+    closeAll,
+    open,
+    close,
+    getTriggerProps: () => ({
+      ref: triggerRef,
+      id: `${id}-trigger`,
+      'aria-haspopup': 'menu',
+      'aria-expanded': isOpen,
+      'aria-controls': `${id}-menu`,
+      onClick: () => (isOpen ? close() : open('first')),
+      onKeyDown: (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          open(e.key === 'ArrowDown' ? 'first' : 'last');
+        }
+      },
+    }),
+    getMenuProps: () => ({
+      id: `${id}-menu`,
+      role: 'menu',
+      'aria-labelledby': isRoot ? `${id}-trigger` : undefined,
+      'data-menu-root': rootId,
+      hidden: !isOpen,
+      onKeyDown: handleMenuKeyDown,
+    }),
+    // hasSubmenu: this item opens the submenu created with useMenu({ parent, index })
+    getItemProps: (index, { disabled = false, textValue, onSelect, hasSubmenu = false } = {}) => {
+      const activate = (focus) => {
+        if (disabled) return;
+        if (hasSubmenu) setOpenChild({ index, focus });
+        else {
+          onSelect?.();
+          closeAll();
+        }
+      };
+
+      return {
+        ...roving.getItemProps(index, { disabled, textValue }),
+        role: 'menuitem',
+        'aria-disabled': disabled || undefined,
+        'aria-haspopup': hasSubmenu ? 'menu' : undefined,
+        'aria-expanded': hasSubmenu ? openChild?.index === index : undefined,
+        onClick: () => activate('first'),
+        onKeyDown: (e) => {
+          const openKey = isRtl(e.currentTarget) ? 'ArrowLeft' : 'ArrowRight';
+          if (e.key === 'Enter' || e.key === ' ' || (hasSubmenu && e.key === openKey)) {
+            e.preventDefault();
+            e.stopPropagation();
+            activate('first');
+          }
+        },
+        onPointerEnter: () => {
+          if (!disabled) roving.focusItem(index);
+          if (hasSubmenu) setOpenChild({ index, focus: null });
+          else if (openChild) setOpenChild(null);
+        },
+      };
+    },
+  };
+}
+
+// Usage - data-driven menu; any item with `items` becomes a submenu
+function MenuItems({ menu, items }) {
+  return (
+    <ul {...menu.getMenuProps()} className="menu">
+      {items.map((item, index) =>
+        item.items ? (
+          <SubmenuItem key={item.label} parent={menu} index={index} item={item} />
+        ) : (
+          <li
+            key={item.label}
+            {...menu.getItemProps(index, { disabled: item.disabled, onSelect: item.onSelect })}
+          >
+            {item.label}
+          </li>
+        )
+      )}
+    </ul>
+  );
+}
+
+function SubmenuItem({ parent, index, item }) {
+  const submenu = useMenu({ parent, index });
+
+  return (
+    <li role="none" className="menu-submenu">
+      <div {...parent.getItemProps(index, { hasSubmenu: true, textValue: item.label })}>
+        {item.label} <span aria-hidden="true">▸</span>
+      </div>
+      <MenuItems menu={submenu} items={item.items} />
+    </li>
+  );
+}
+
+function FileMenu({ onCommand }) {
+  const menu = useMenu();
+  const items = [
+    { label: 'New file', onSelect: () => onCommand('new') },
+    { label: 'Open…', onSelect: () => onCommand('open') },
+    {
+      label: 'Export as',
+      items: [
+        { label: 'PDF', onSelect: () => onCommand('export-pdf') },
+        { label: 'Markdown', onSelect: () => onCommand('export-md') },
+      ],
+    },
+    { label: 'Close', disabled: true },
+  ];
+
+  return (
+    <div className="menu-button">
+      <button {...menu.getTriggerProps()}>File</button>
+      <MenuItems menu={menu} items={items} />
+    </div>
+  );
 }
 
 // -------------------------------------------------------------------------------------------
-// 5. HEADLESS MODAL
+// 8. HEADLESS MODAL
 // -------------------------------------------------------------------------------------------
 
+/**
+ * Focus handling, Escape, scroll lock and inert background come from
+ * useDialog (10-advanced-patterns/portals.jsx), which also keeps nested
+ * modals in one stack. useModal only adds the open/close state.
+ */
+
+import { createPortal } from 'react-dom';
+import { useDialog } from '../10-advanced-patterns/portals';
+
 function useModal() {
   const [isOpen, setIsOpen] = useState(false);
-  const previousFocus = useRef(null);
 
-  const open = useCallback(() => {
-    previousFocus.current = document.activeElement;
-    setIsOpen(true);
-  }, []);
+  const open = useCallback(() => setIsOpen(true), []);
+  const close = useCallback(() => setIsOpen(false), []);
 
-  const close = useCallback(() => {
-    setIsOpen(false);
-    previousFocus.current?.focus();
-  }, []);
+  const dialog = useDialog({ isOpen, onClose: close });
 
-  // Trap focus inside modal
-  const getModalProps = useCallback(() => ({
-    role: 'dialog',
-    'aria-modal': true,
-    onKeyDown: (e) => {
-      if (e.key === 'Escape') close();
-    },
-  }), [close]);
+  return {
+    isOpen,
+    open,
+    close,
+    container: dialog.container, // Portal target
+    getModalProps: dialog.getDialogProps,
+    getTitleProps: dialog.getTitleProps,
+  };
+}
+
+// Usage
+function NewsletterModal() {
+  const { isOpen, open, close, container, getModalProps, getTitleProps } = useModal();
 
-  return { isOpen, open, close, getModalProps };
+  return (
+    <>
+      <button onClick={open}>Subscribe</button>
+      {isOpen && createPortal(
+        <div {...getModalProps({ 'aria-describedby': undefined })} className="modal">
+          <h2 {...getTitleProps()}>Join the newsletter</h2>
+          <button onClick={close}>Close</button>
+        </div>,
+        container
+      )}
+    </>
+  );
 }
 
 // -------------------------------------------------------------------------------------------
-// 6. BENEFITS OF HEADLESS COMPONENTS
+// 9. BENEFITS OF HEADLESS COMPONENTS
 // -------------------------------------------------------------------------------------------
 
 /**
@@ -288,5 +1326,9 @@ function useModal() {
  * - Handle keyboard interactions
  * - Return stable callbacks (useCallback)
  * - Provide getXxxProps functions
+ * - Generate ids with useId so ARIA references stay unique per instance
+ * - Build tabs, toolbars and menus on one roving-focus primitive
+ * - Support controlled and uncontrolled state with the same hook
+ * - Respect prefers-reduced-motion for any animation
  * - Document the hook API clearly
  */
@@ -5,7 +5,7 @@
  * similar to Vue's named slots. It enables flexible, declarative layouts.
  */
 
-import { Children, isValidElement } from 'react';
+import { Children, isValidElement, useState, useReducer, useMemo, useRef, useEffect } from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. BASIC SLOTS VIA PROPS
@@ -124,7 +124,407 @@ function Slot({ slot, children }) {
 // 4. DATA TABLE WITH SLOTS
 // -------------------------------------------------------------------------------------------
 
-function DataTable({ data, children }) {
+/**
+ * DataTable keeps its declarative <Column> API; the table logic lives in a
+ * headless hook, so other markup (cards, a virtualized grid) can reuse it.
+ *
+ * Column props - only field is required:
+ * - field, header, render(row)
+ * - accessor(row): value used to sort, filter and group (default row[field])
+ * - sortable (default true), sortFn(a, b) comparing two values
+ * - filter: 'text' | 'select' | 'range' | (value, filterValue, row) => boolean
+ * - aggregate: 'sum' | 'avg' | 'min' | 'max' | 'count' | (values, rows) => result
+ * - hideable (default true), exportable (default true)
+ * - parse(text), required, validate(value, row) - used by importCsv (section 5)
+ *
+ * Client-side the pipeline is filter -> sort -> group -> expand -> paginate.
+ * With manual: true the server has already filtered, sorted and paginated
+ * `data`; onQueryChange receives { sorting, filters, globalFilter, pageIndex, pageSize }.
+ */
+
+const filterFns = {
+  text: (value, filterValue) =>
+    String(value ?? '').toLowerCase().includes(String(filterValue).toLowerCase()),
+  // <select> values are always strings, so compare as strings (3 matches '3')
+  select: (value, filterValue) =>
+    Array.isArray(filterValue)
+      ? filterValue.map(String).includes(String(value))
+      : String(value) === String(filterValue),
+  range: (value, [min, max]) =>
+    (min === '' || min == null || value >= Number(min)) &&
+    (max === '' || max == null || value <= Number(max)),
+};
+
+const aggregateFns = {
+  count: (values) => values.length,
+  sum: (values) => values.reduce((total, value) => total + (Number(value) || 0), 0),
+  avg: (values) => (values.length ? aggregateFns.sum(values) / values.length : undefined),
+  min: (values) => values.reduce((min, value) => (min === undefined || value < min ? value : min), undefined),
+  max: (values) => values.reduce((max, value) => (max === undefined || value > max ? value : max), undefined),
+};
+
+function isEmptyFilter(value) {
+  if (Array.isArray(value)) return value.every((part) => part === '' || part == null);
+  return value === '' || value == null;
+}
+
+function getCellValue(column, row) {
+  return column.accessor ? column.accessor(row) : row[column.field];
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (a instanceof Date && b instanceof Date) return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function aggregateRows(columns, rows) {
+  const result = {};
+  columns.forEach((column) => {
+    if (!column.aggregate) return;
+    const fn = typeof column.aggregate === 'function' ? column.aggregate : aggregateFns[column.aggregate];
+    const originals = rows.map((row) => row.original);
+    result[column.field] = fn(originals.map((row) => getCellValue(column, row)), originals);
+  });
+  return result;
+}
+
+// Nested groups, outermost field first; groups appear in sorted order
+function groupRows(rows, grouping, columnsByField, columns, depth = 0, parentId = '') {
+  if (depth === grouping.length) return rows.map((row) => ({ ...row, depth }));
+
+  const column = columnsByField.get(grouping[depth]);
+  const buckets = new Map();
+  rows.forEach((row) => {
+    const value = getCellValue(column, row.original);
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(row);
+  });
+
+  return [...buckets].map(([value, bucket]) => {
+    const id = `${parentId}${column.field}:${value}/`;
+    return {
+      id,
+      isGroup: true,
+      field: column.field,
+      value,
+      depth,
+      leafRows: bucket,
+      aggregates: aggregateRows(columns, bucket),
+      subRows: groupRows(bucket, grouping, columnsByField, columns, depth + 1, id),
+    };
+  });
+}
+
+function flattenRows(rows, expanded, out = []) {
+  rows.forEach((row) => {
+    out.push(row);
+    if (row.isGroup && expanded[row.id]) flattenRows(row.subRows, expanded, out);
+  });
+  return out;
+}
+
+const initialTableState = {
+  sorting: [], // [{ field, desc }] - first entry sorts first
+  filters: {}, // field -> filter value
+  globalFilter: '',
+  pageIndex: 0,
+  pageSize: 10,
+  selection: {}, // rowId -> true, kept across pages
+  hiddenColumns: {}, // field -> true
+  columnOrder: [], // fields; unlisted columns follow in declaration order
+  grouping: [], // fields, outermost first
+  expanded: {}, // groupId -> true
+};
+
+function tableReducer(state, action) {
+  switch (action.type) {
+    case 'TOGGLE_SORT': {
+      const { field, multi } = action;
+      const current = state.sorting.find((sort) => sort.field === field);
+      // Cycles ascending -> descending -> off
+      const next = !current ? { field, desc: false } : !current.desc ? { field, desc: true } : null;
+
+      let sorting;
+      if (!multi) sorting = next ? [next] : [];
+      else if (!current) sorting = [...state.sorting, next];
+      else if (next) sorting = state.sorting.map((sort) => (sort.field === field ? next : sort));
+      else sorting = state.sorting.filter((sort) => sort.field !== field);
+
+      return { ...state, sorting, pageIndex: 0 };
+    }
+    case 'SET_FILTER': {
+      const { [action.field]: _removed, ...filters } = state.filters;
+      if (!isEmptyFilter(action.value)) filters[action.field] = action.value;
+      return { ...state, filters, pageIndex: 0 };
+    }
+    case 'SET_GLOBAL_FILTER':
+      return { ...state, globalFilter: action.value, pageIndex: 0 };
+    case 'SET_PAGE':
+      return { ...state, pageIndex: action.pageIndex };
+    case 'SET_PAGE_SIZE':
+      return { ...state, pageSize: action.pageSize, pageIndex: 0 };
+    case 'SET_SELECTION':
+      return { ...state, selection: action.selection };
+    case 'TOGGLE_COLUMN':
+      return {
+        ...state,
+        hiddenColumns: { ...state.hiddenColumns, [action.field]: !state.hiddenColumns[action.field] },
+      };
+    case 'SET_COLUMN_ORDER':
+      return { ...state, columnOrder: action.columnOrder };
+    case 'SET_GROUPING':
+      return { ...state, grouping: action.grouping, expanded: {}, pageIndex: 0 };
+    case 'TOGGLE_GROUP':
+      return { ...state, expanded: { ...state.expanded, [action.id]: !state.expanded[action.id] } };
+    default:
+      return state;
+  }
+}
+
+export function useDataTable({
+  data,
+  columns,
+  getRowId = (row, index) => row.id ?? index,
+  initialState,
+  manual = false,
+  rowCount,
+  onQueryChange,
+}) {
+  const [state, dispatch] = useReducer(tableReducer, initialState, (initial) => ({
+    ...initialTableState,
+    ...initial,
+  }));
+
+  const columnsByField = useMemo(
+    () => new Map(columns.map((column) => [column.field, column])),
+    [columns]
+  );
+
+  const allColumns = useMemo(() => {
+    const moved = state.columnOrder.map((field) => columnsByField.get(field)).filter(Boolean);
+    return [...moved, ...columns.filter((column) => !state.columnOrder.includes(column.field))];
+  }, [columns, columnsByField, state.columnOrder]);
+
+  const visibleColumns = useMemo(
+    () => allColumns.filter((column) => !state.hiddenColumns[column.field]),
+    [allColumns, state.hiddenColumns]
+  );
+
+  // Ids are strings so they work as selection / expanded keys.
+  // getRowId is treated as stable - it's usually an inline arrow.
+  const rowModels = useMemo(
+    () => data.map((row, index) => ({ id: String(getRowId(row, index)), original: row, depth: 0 })),
+    [data]
+  );
+
+  const filteredRows = useMemo(() => {
+    if (manual) return rowModels;
+
+    const activeFilters = Object.entries(state.filters)
+      .filter(([field]) => columnsByField.has(field))
+      .map(([field, value]) => {
+        const column = columnsByField.get(field);
+        const fn = typeof column.filter === 'function' ? column.filter : filterFns[column.filter ?? 'text'];
+        return { column, fn, value };
+      });
+    const search = state.globalFilter.trim().toLowerCase();
+
+    return rowModels.filter(({ original }) =>
+      activeFilters.every(({ column, fn, value }) => fn(getCellValue(column, original), value, original)) &&
+      (!search ||
+        visibleColumns.some((column) =>
+          String(getCellValue(column, original) ?? '').toLowerCase().includes(search)
+        ))
+    );
+  }, [manual, rowModels, columnsByField, visibleColumns, state.filters, state.globalFilter]);
+
+  const sortedRows = useMemo(() => {
+    if (manual || state.sorting.length === 0) return filteredRows;
+
+    const sorters = state.sorting
+      .filter(({ field }) => columnsByField.has(field))
+      .map(({ field, desc }) => ({ column: columnsByField.get(field), desc }));
+
+    return [...filteredRows].sort((a, b) => {
+      for (const { column, desc } of sorters) {
+        const x = getCellValue(column, a.original);
+        const y = getCellValue(column, b.original);
+        if (x == null || y == null) {
+          if (x == null && y == null) continue;
+          return x == null ? 1 : -1; // Empty values last in either direction
+        }
+        const result = (column.sortFn ?? compareValues)(x, y);
+        if (result !== 0) return desc ? -result : result;
+      }
+      return 0;
+    });
+  }, [manual, filteredRows, columnsByField, state.sorting]);
+
+  const flatRows = useMemo(() => {
+    if (state.grouping.length === 0) return sortedRows;
+    const groups = groupRows(sortedRows, state.grouping, columnsByField, columns);
+    return flattenRows(groups, state.expanded);
+  }, [sortedRows, state.grouping, state.expanded, columnsByField, columns]);
+
+  const totalRows = manual ? rowCount ?? data.length : flatRows.length;
+  const pageCount = Math.max(1, Math.ceil(totalRows / state.pageSize));
+  const pageIndex = Math.min(state.pageIndex, pageCount - 1); // Data may have shrunk
+  const rows = manual
+    ? flatRows
+    : flatRows.slice(pageIndex * state.pageSize, (pageIndex + 1) * state.pageSize);
+
+  // Server mode: report every query change; debounce the fetch, not this
+  const onQueryChangeRef = useRef(onQueryChange);
+  useEffect(() => {
+    onQueryChangeRef.current = onQueryChange;
+  });
+
+  const { sorting, filters, globalFilter, pageSize } = state;
+  useEffect(() => {
+    if (manual) onQueryChangeRef.current?.({ sorting, filters, globalFilter, pageIndex, pageSize });
+  }, [manual, sorting, filters, globalFilter, pageIndex, pageSize]);
+
+  // Selection - shift-click selects everything between the last click and this one
+  const anchorRef = useRef(null);
+  const leafRowIds = rows.filter((row) => !row.isGroup).map((row) => row.id);
+
+  function toggleRowSelected(id, { shiftKey = false } = {}) {
+    const selected = !state.selection[id];
+    const from = leafRowIds.indexOf(anchorRef.current);
+    const to = leafRowIds.indexOf(id);
+    const range =
+      shiftKey && from !== -1
+        ? leafRowIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [id];
+
+    const selection = { ...state.selection };
+    range.forEach((rowId) => {
+      if (selected) selection[rowId] = true;
+      else delete selection[rowId];
+    });
+    anchorRef.current = id;
+    dispatch({ type: 'SET_SELECTION', selection });
+  }
+
+  const isAllPageRowsSelected =
+    leafRowIds.length > 0 && leafRowIds.every((id) => state.selection[id]);
+
+  function toggleAllPageRowsSelected() {
+    const selection = { ...state.selection };
+    leafRowIds.forEach((id) => {
+      if (isAllPageRowsSelected) delete selection[id];
+      else selection[id] = true;
+    });
+    dispatch({ type: 'SET_SELECTION', selection });
+  }
+
+  function getSortState(field) {
+    const index = state.sorting.findIndex((sort) => sort.field === field);
+    if (index === -1) return { direction: false, index };
+    return { direction: state.sorting[index].desc ? 'desc' : 'asc', index };
+  }
+
+  // Distinct values for 'select' filters, from all rows rather than the filtered ones
+  function getFacetValues(field) {
+    const column = columnsByField.get(field);
+    const values = new Set(data.map((row) => getCellValue(column, row)));
+    return [...values].filter((value) => value != null).sort(compareValues);
+  }
+
+  // toIndex is a position in allColumns (hidden columns included)
+  function moveColumn(field, toIndex) {
+    const columnOrder = allColumns.map((column) => column.field).filter((f) => f !== field);
+    columnOrder.splice(toIndex, 0, field);
+    dispatch({ type: 'SET_COLUMN_ORDER', columnOrder });
+  }
+
+  return {
+    state: { ...state, pageIndex },
+    rows, // Current page; group rows have isGroup: true
+    sortedRows: sortedRows.map((row) => row.original), // Filtered + sorted, all pages
+    columns: visibleColumns,
+    allColumns,
+    rowCount: totalRows,
+    pageCount,
+    canPreviousPage: pageIndex > 0,
+    canNextPage: pageIndex < pageCount - 1,
+    selectedRows: rowModels.filter((row) => state.selection[row.id]).map((row) => row.original),
+    isAllPageRowsSelected,
+    isRowSelected: (id) => Boolean(state.selection[id]),
+    toggleRowSelected,
+    toggleAllPageRowsSelected,
+    toggleSort: (field, { multi = false } = {}) => dispatch({ type: 'TOGGLE_SORT', field, multi }),
+    getSortState,
+    setFilter: (field, value) => dispatch({ type: 'SET_FILTER', field, value }),
+    setGlobalFilter: (value) => dispatch({ type: 'SET_GLOBAL_FILTER', value }),
+    getFacetValues,
+    setPage: (index) => dispatch({ type: 'SET_PAGE', pageIndex: Math.max(0, Math.min(index, pageCount - 1)) }),
+    setPageSize: (size) => dispatch({ type: 'SET_PAGE_SIZE', pageSize: size }),
+    toggleColumnVisibility: (field) => dispatch({ type: 'TOGGLE_COLUMN', field }),
+    moveColumn,
+    setGrouping: (grouping) => dispatch({ type: 'SET_GROUPING', grouping }),
+    toggleGroup: (id) => dispatch({ type: 'TOGGLE_GROUP', id }),
+  };
+}
+
+function ColumnFilter({ table, column }) {
+  const value = table.state.filters[column.field];
+
+  if (column.filter === 'select') {
+    return (
+      <select
+        aria-label={`Filter ${column.header}`}
+        value={value ?? ''}
+        onChange={(e) => table.setFilter(column.field, e.target.value)}
+      >
+        <option value="">All</option>
+        {table.getFacetValues(column.field).map((option) => (
+          <option key={String(option)} value={option}>{String(option)}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (column.filter === 'range') {
+    const [min = '', max = ''] = value ?? [];
+    return (
+      <>
+        <input type="number" aria-label={`${column.header} from`} value={min}
+          onChange={(e) => table.setFilter(column.field, [e.target.value, max])} />
+        <input type="number" aria-label={`${column.header} to`} value={max}
+          onChange={(e) => table.setFilter(column.field, [min, e.target.value])} />
+      </>
+    );
+  }
+
+  // Custom filter functions get their UI from the caller via table.setFilter
+  if (column.filter === 'text') {
+    return (
+      <input
+        aria-label={`Filter ${column.header}`}
+        value={value ?? ''}
+        onChange={(e) => table.setFilter(column.field, e.target.value)}
+      />
+    );
+  }
+
+  return null;
+}
+
+const sortIcons = { asc: '▲', desc: '▼' };
+
+function shallowEqual(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => Object.is(a[key], b[key]));
+}
+
+// Children are new elements on every render. Reuse the previous column list
+// while every <Column>'s props are unchanged, so useDataTable's memos (which
+// key on columns) don't re-run filter/sort/group on unrelated renders.
+// Inline render functions still count as changes - hoist them to keep the cache.
+function useColumnsFromChildren(children) {
+  const previousRef = useRef([]);
   const columns = [];
 
   Children.forEach(children, (child) => {
@@ -133,27 +533,166 @@ function DataTable({ data, children }) {
     }
   });
 
+  const previous = previousRef.current;
+  if (
+    columns.length === previous.length &&
+    columns.every((props, i) => shallowEqual(props, previous[i]))
+  ) {
+    return previous;
+  }
+  previousRef.current = columns;
+  return columns;
+}
+
+function DataTable({ data, children, exportName = 'table', ...options }) {
+  const columns = useColumnsFromChildren(children);
+  const table = useDataTable({ data, columns, ...options });
+  const hasFilters = table.columns.some((col) => col.filter);
+
   return (
-    <table>
-      <thead>
-        <tr>
-          {columns.map((col) => (
-            <th key={col.field}>{col.header}</th>
+    <div className="data-table">
+      <div className="data-table-toolbar">
+        <input
+          type="search"
+          aria-label="Search all columns"
+          value={table.state.globalFilter}
+          onChange={(e) => table.setGlobalFilter(e.target.value)}
+        />
+        <details>
+          <summary>Columns</summary>
+          {table.allColumns.map((col) => (
+            <label key={col.field}>
+              <input
+                type="checkbox"
+                checked={!table.state.hiddenColumns[col.field]}
+                disabled={col.hideable === false}
+                onChange={() => table.toggleColumnVisibility(col.field)}
+              />
+              {col.header}
+            </label>
           ))}
-        </tr>
-      </thead>
-      <tbody>
-        {data.map((row, rowIndex) => (
-          <tr key={rowIndex}>
-            {columns.map((col) => (
-              <td key={col.field}>
-                {col.render ? col.render(row) : row[col.field]}
-              </td>
-            ))}
-          </tr>
+        </details>
+        {['csv', 'json', 'xlsx'].map((format) => (
+          <button
+            key={format}
+            onClick={() => downloadBlob(exportTable(table, format), `${exportName}.${format}`)}
+          >
+            Export {format.toUpperCase()}
+          </button>
         ))}
-      </tbody>
-    </table>
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            <th>
+              <input
+                type="checkbox"
+                aria-label="Select all rows on this page"
+                checked={table.isAllPageRowsSelected}
+                onChange={table.toggleAllPageRowsSelected}
+              />
+            </th>
+            {table.columns.map((col) => {
+              const { direction, index } = table.getSortState(col.field);
+              return (
+                <th
+                  key={col.field}
+                  aria-sort={direction ? `${direction}ending` : 'none'}
+                  draggable
+                  onDragStart={(e) => e.dataTransfer.setData('text/plain', col.field)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) =>
+                    table.moveColumn(e.dataTransfer.getData('text/plain'), table.allColumns.indexOf(col))
+                  }
+                >
+                  {col.sortable === false ? (
+                    col.header
+                  ) : (
+                    // Shift+click adds the column to the existing sort
+                    <button onClick={(e) => table.toggleSort(col.field, { multi: e.shiftKey })}>
+                      {col.header}
+                      {direction && ` ${sortIcons[direction]}`}
+                      {direction && table.state.sorting.length > 1 && <sup>{index + 1}</sup>}
+                    </button>
+                  )}
+                </th>
+              );
+            })}
+          </tr>
+          {hasFilters && (
+            <tr>
+              <th />
+              {table.columns.map((col) => (
+                <th key={col.field}>
+                  <ColumnFilter table={table} column={col} />
+                </th>
+              ))}
+            </tr>
+          )}
+        </thead>
+        <tbody>
+          {table.rows.map((row) =>
+            row.isGroup ? (
+              <tr key={row.id} className="data-table-group">
+                <td style={{ paddingLeft: row.depth * 16 }}>
+                  <button
+                    aria-expanded={Boolean(table.state.expanded[row.id])}
+                    aria-label={`${row.value} group`}
+                    onClick={() => table.toggleGroup(row.id)}
+                  >
+                    {table.state.expanded[row.id] ? '▾' : '▸'}
+                  </button>
+                </td>
+                {table.columns.map((col) => (
+                  <td key={col.field}>
+                    {col.field === row.field
+                      ? `${row.value} (${row.leafRows.length})`
+                      : row.aggregates[col.field]}
+                  </td>
+                ))}
+              </tr>
+            ) : (
+              <tr key={row.id} aria-selected={table.isRowSelected(row.id)}>
+                <td style={{ paddingLeft: row.depth * 16 }}>
+                  <input
+                    type="checkbox"
+                    aria-label="Select row"
+                    checked={table.isRowSelected(row.id)}
+                    onChange={(e) => table.toggleRowSelected(row.id, { shiftKey: e.nativeEvent.shiftKey })}
+                  />
+                </td>
+                {table.columns.map((col) => (
+                  <td key={col.field}>
+                    {col.render ? col.render(row.original) : row.original[col.field]}
+                  </td>
+                ))}
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+
+      <div className="data-table-pagination">
+        <button onClick={() => table.setPage(table.state.pageIndex - 1)} disabled={!table.canPreviousPage}>
+          Previous
+        </button>
+        <span>Page {table.state.pageIndex + 1} of {table.pageCount}</span>
+        <button onClick={() => table.setPage(table.state.pageIndex + 1)} disabled={!table.canNextPage}>
+          Next
+        </button>
+        <select
+          aria-label="Rows per page"
+          value={table.state.pageSize}
+          onChange={(e) => table.setPageSize(Number(e.target.value))}
+        >
+          {[10, 25, 50, 100].map((size) => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+        <span>{Object.keys(table.state.selection).length} selected</span>
+      </div>
+    </div>
   );
 }
 
@@ -168,12 +707,423 @@ function Column({ field, header, render }) {
   <Column
     field="actions"
     header="Actions"
+    sortable={false}
+    hideable={false}
     render={(row) => <button onClick={() => edit(row.id)}>Edit</button>}
   />
 </DataTable>
 
+// Usage - filters, grouping and aggregates, all client-side
+<DataTable data={orders} initialState={{ pageSize: 25, grouping: ['region'] }}>
+  <Column field="customer" header="Customer" filter="text" />
+  <Column field="region" header="Region" filter="select" />
+  <Column field="status" header="Status" filter="select" aggregate="count" />
+  <Column
+    field="total"
+    header="Total"
+    filter="range"
+    aggregate="sum"
+    render={(row) => `$${row.total.toFixed(2)}`}
+  />
+</DataTable>
+
+// Usage - server-side: the API sorts, filters and pages, the table reports the query
+function ServerOrders() {
+  const [page, setPage] = useState({ rows: [], total: 0 });
+
+  async function loadOrders({ sorting, filters, globalFilter, pageIndex, pageSize }) {
+    const params = new URLSearchParams({
+      page: pageIndex,
+      size: pageSize,
+      sort: sorting.map(({ field, desc }) => (desc ? `-${field}` : field)).join(','),
+      q: globalFilter,
+      filters: JSON.stringify(filters),
+    });
+    const res = await fetch(`/api/orders?${params}`);
+    setPage(await res.json());
+  }
+
+  return (
+    <DataTable data={page.rows} manual rowCount={page.total} onQueryChange={loadOrders}>
+      <Column field="customer" header="Customer" filter="text" />
+      <Column field="total" header="Total" filter="range" />
+    </DataTable>
+  );
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. EXPORTING AND IMPORTING TABLE DATA
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "Download what I see": export works from the useDataTable instance, so the
+ * file follows the current sort, filters, visible columns and column order.
+ * Cells are exported as the text their render() shows ("$12.50", not 12.5).
+ */
+
+// Rendered cells can be elements - keep their text, like innerText would
+function nodeToText(node) {
+  if (node == null || typeof node === 'boolean') return '';
+  if (Array.isArray(node)) return node.map(nodeToText).join('');
+  if (isValidElement(node)) return nodeToText(node.props.children);
+  return String(node);
+}
+
+function getCellText(column, row) {
+  if (column.render) return nodeToText(column.render(row));
+  const value = getCellValue(column, row);
+  return value instanceof Date ? value.toISOString() : nodeToText(value);
+}
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+// RFC 4180: quote fields with commas, quotes or line breaks; double the quotes.
+// Cells starting with = + - @ would run as formulas in a spreadsheet.
+function toCsvField(text) {
+  if (/^[=+\-@]/.test(text) && !NUMERIC.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, records) {
+  const lines = [header, ...records].map((cells) => cells.map(toCsvField).join(','));
+  return '\uFEFF' + lines.join('\r\n'); // BOM so Excel reads UTF-8
+}
+
+// --- Minimal XLSX: a zip (stored, no compression) of five XML parts ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(12, 0x21, true); // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...directory, end], { type: XLSX_TYPE });
+}
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function escapeXml(text) {
+  return text.replace(/[<>&"]/g, (char) => `&${{ '<': 'lt', '>': 'gt', '&': 'amp', '"': 'quot' }[char]};`);
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function toXlsx(header, records) {
+  const sheetRows = [header, ...records].map((cells, r) => {
+    const xmlCells = cells.map((text, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      return r > 0 && NUMERIC.test(text)
+        ? `<c r="${ref}"><v>${text}</v></c>`
+        : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${xmlCells.join('')}</row>`;
+  });
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const ns = 'http://schemas.openxmlformats.org';
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="${ns}/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+        `</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">` +
+        `<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xml}<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+/**
+ * exportTable(table, format) -> Blob
+ * table is what useDataTable returns: rows come from sortedRows (filtered and
+ * sorted, every page) and columns are the visible ones in their current order.
+ * Columns with exportable={false} (action buttons) are left out.
+ */
+export function exportTable(table, format) {
+  const columns = table.columns.filter((column) => column.exportable !== false);
+  const header = columns.map((column) => nodeToText(column.header));
+  const records = table.sortedRows.map((row) => columns.map((column) => getCellText(column, row)));
+
+  switch (format) {
+    case 'csv':
+      return new Blob([toCsv(header, records)], { type: 'text/csv;charset=utf-8' });
+    case 'json': {
+      const objects = records.map((cells) =>
+        Object.fromEntries(columns.map((column, i) => [column.field, cells[i]]))
+      );
+      return new Blob([JSON.stringify(objects, null, 2)], { type: 'application/json' });
+    }
+    case 'xlsx':
+      return toXlsx(header, records);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url)); // After the click has started the download
+}
+
+// --- CSV import ---
+
+// Returns [{ line, cells }]; line is where the record starts (quoted fields can span lines)
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  text = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(field);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      field = '';
+      recordLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || cells.length > 0) {
+    cells.push(field);
+    records.push({ line: recordLine, cells });
+  }
+
+  // Blank lines are not records
+  return records.filter(({ cells }) => cells.length > 1 || cells[0] !== '');
+}
+
+const normalizeHeader = (text) => String(text).trim().toLowerCase();
+
+/**
+ * importCsv(text, columns) -> { rows, errors, unmappedHeaders, missingColumns }
+ * - Headers match a Column's header text or its field, ignoring case
+ * - column.parse(text, row) turns text into a value; throwing marks the cell invalid
+ * - column.required and column.validate(value, row) => message | undefined
+ * - Rows with any error are left out of rows; errors are [{ line, field, message }]
+ */
+export function importCsv(text, columns) {
+  const [headerRecord, ...records] = parseCsv(text);
+  if (!headerRecord) {
+    return { rows: [], errors: [], unmappedHeaders: [], missingColumns: columns.map((c) => c.field) };
+  }
+
+  const byHeader = new Map();
+  columns.forEach((column) => {
+    byHeader.set(normalizeHeader(column.field), column);
+    if (typeof column.header === 'string') byHeader.set(normalizeHeader(column.header), column);
+  });
+
+  const mapping = headerRecord.cells.map((header) => byHeader.get(normalizeHeader(header)));
+  const unmappedHeaders = headerRecord.cells.filter((_, i) => !mapping[i]);
+  const missingColumns = columns
+    .filter((column) => column.required && !mapping.includes(column))
+    .map((column) => column.field);
+
+  const rows = [];
+  const errors = [];
+
+  records.forEach(({ line, cells }) => {
+    const row = {};
+    const rowErrors = [];
+
+    mapping.forEach((column, i) => {
+      if (!column) return;
+      // Undo the formula guard added by toCsvField
+      const text = (cells[i] ?? '').replace(/^'(?=[=+\-@])/, '');
+      try {
+        row[column.field] = column.parse ? column.parse(text, row) : text;
+      } catch (error) {
+        rowErrors.push({ line, field: column.field, message: error.message });
+      }
+    });
+
+    columns.forEach((column) => {
+      if (rowErrors.some((error) => error.field === column.field)) return;
+      const value = row[column.field];
+      const message =
+        column.required && (value === '' || value == null)
+          ? `${nodeToText(column.header)} is required`
+          : column.validate?.(value, row);
+      if (message) rowErrors.push({ line, field: column.field, message });
+    });
+
+    if (rowErrors.length) errors.push(...rowErrors);
+    else rows.push(row);
+  });
+
+  return { rows, errors, unmappedHeaders, missingColumns };
+}
+
+// Usage - export buttons are built into DataTable's toolbar (exportName prop)
+<DataTable data={orders} exportName="orders">
+  <Column field="customer" header="Customer" />
+  <Column field="total" header="Total" render={(row) => `$${row.total.toFixed(2)}`} />
+  <Column field="actions" header="" exportable={false} render={(row) => <EditButton id={row.id} />} />
+</DataTable>
+
+// Usage - import: same column config, plus parse / required / validate
+const customerColumns = [
+  { field: 'name', header: 'Name', required: true },
+  {
+    field: 'email',
+    header: 'Email',
+    required: true,
+    validate: (value) => (/^\S+@\S+$/.test(value) ? undefined : 'Invalid email'),
+  },
+  {
+    field: 'credit',
+    header: 'Credit limit',
+    parse: (text) => {
+      const value = Number(text.replace(/[$,]/g, ''));
+      if (Number.isNaN(value)) throw new Error(`"${text}" is not a number`);
+      return value;
+    },
+  },
+];
+
+function CustomerImport({ onImport }) {
+  const [report, setReport] = useState(null);
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    const result = importCsv(await file.text(), customerColumns);
+    setReport(result);
+    if (result.rows.length) onImport(result.rows);
+  }
+
+  return (
+    <div>
+      <input type="file" accept=".csv,text/csv" onChange={handleFile} />
+      {report && (
+        <div role="status">
+          <p>
+            Imported {report.rows.length} rows, {new Set(report.errors.map((e) => e.line)).size} rejected.
+          </p>
+          {report.missingColumns.length > 0 && <p>Missing columns: {report.missingColumns.join(', ')}</p>}
+          <ul>
+            {report.errors.map((error) => (
+              <li key={`${error.line}:${error.field}`}>
+                Line {error.line}, {error.field}: {error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
-// 5. CONDITIONAL SLOTS
+// 6. CONDITIONAL SLOTS
 // -------------------------------------------------------------------------------------------
 
 function Alert({ type, children }) {
@@ -211,7 +1161,7 @@ Alert.Description = ({ children }) => <>{children}</>;
 Alert.Actions = ({ children }) => <>{children}</>;
 
 // -------------------------------------------------------------------------------------------
-// 6. SLOTS VS RENDER PROPS
+// 7. SLOTS VS RENDER PROPS
 // -------------------------------------------------------------------------------------------
 
 /**
@@ -246,4 +1196,6 @@ Alert.Actions = ({ children }) => <>{children}</>;
  * - Provide sensible defaults for optional slots
  * - Document which slots are available
  * - Consider TypeScript for slot type safety
+ * - Keep logic in a headless hook (useDataTable) and let slots only configure it
+ * - Export from the table instance, so files match what the user sees
  */
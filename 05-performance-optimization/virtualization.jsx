@@ -6,7 +6,17 @@
  * implement this pattern.
  */
 
-import { useState, useRef, useCallback } from 'react';
+import {
+  useState,
+  useRef,
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useReducer,
+  useImperativeHandle,
+  forwardRef,
+} from 'react';
 import { FixedSizeList, VariableSizeList, FixedSizeGrid } from 'react-window';
 import AutoSizer from 'react-virtualized-auto-sizer';
 
@@ -137,7 +147,12 @@ function ResponsiveList({ items }) {
 // 5. GRID VIRTUALIZATION
 // -------------------------------------------------------------------------------------------
 
-function VirtualizedGrid({ items, columns }) {
+/**
+ * A card grid: items flow into `columns` per row. For tabular data with
+ * headers, frozen columns and resizing see VirtualizedGrid in section 10.
+ */
+
+function CardGrid({ items, columns, cellWidth = 150, cellHeight = 100 }) {
   const Cell = ({ columnIndex, rowIndex, style }) => {
     const index = rowIndex * columns + columnIndex;
     if (index >= items.length) return null;
@@ -150,16 +165,20 @@ function VirtualizedGrid({ items, columns }) {
   };
 
   return (
-    <FixedSizeGrid
-      columnCount={columns}
-      columnWidth={150}
-      height={400}
-      rowCount={Math.ceil(items.length / columns)}
-      rowHeight={100}
-      width={600}
-    >
-      {Cell}
-    </FixedSizeGrid>
+    <AutoSizer>
+      {({ height, width }) => (
+        <FixedSizeGrid
+          columnCount={columns}
+          columnWidth={cellWidth}
+          height={height}
+          rowCount={Math.ceil(items.length / columns)}
+          rowHeight={cellHeight}
+          width={width}
+        >
+          {Cell}
+        </FixedSizeGrid>
+      )}
+    </AutoSizer>
   );
 }
 
@@ -167,31 +186,144 @@ function VirtualizedGrid({ items, columns }) {
 // 6. INFINITE SCROLL
 // -------------------------------------------------------------------------------------------
 
-function InfiniteList({ loadMore, hasMore, items }) {
+/**
+ * "Load more when near the bottom" breaks down quickly: scroll events fire
+ * many times while a page is in flight, and jumping into the middle of a
+ * feed (a deep link, a chat) needs loading in both directions.
+ *
+ * useInfiniteLoader works in pages instead:
+ * - A page is requested at most once; the ref-backed map is checked
+ *   synchronously, so a burst of range changes can't double-fetch
+ * - The list is the loaded pages plus one page of placeholder rows on each
+ *   side that still has data - scrolling into placeholders loads them
+ * - Row keys are `${page}:${offset}`, so a placeholder and the item that
+ *   replaces it share a key - lists that anchor by key stay put when
+ *   earlier pages are inserted
+ * - A page shorter than pageSize marks the end; minPage marks the start
+ */
+
+function useInfiniteLoader({ loadPage, pageSize, initialPage = 0, minPage = 0, prefetchPages = 1 }) {
+  const pagesRef = useRef(new Map()); // page -> { status, items, error, controller }
+  const lastPageRef = useRef(Infinity); // Set once a short page arrives
+  const loadPageRef = useRef(loadPage);
+  const [, rerender] = useReducer((n) => n + 1, 0);
+
+  useEffect(() => {
+    loadPageRef.current = loadPage;
+  });
+
+  useEffect(() => () => {
+    pagesRef.current.forEach((entry) => entry.controller?.abort());
+  }, []);
+
+  const requestPage = useCallback((page) => {
+    const pages = pagesRef.current;
+    if (page < minPage || page > lastPageRef.current || pages.has(page)) return;
+
+    const controller = new AbortController();
+    pages.set(page, { status: 'loading', controller });
+    rerender();
+
+    loadPageRef.current(page, { signal: controller.signal }).then(
+      (items) => {
+        if (items.length < pageSize) lastPageRef.current = Math.min(lastPageRef.current, page);
+        pages.set(page, { status: 'loaded', items });
+        rerender();
+      },
+      (error) => {
+        if (controller.signal.aborted) return;
+        pages.set(page, { status: 'error', error });
+        rerender();
+      }
+    );
+  }, [minPage, pageSize]);
+
+  // A failed page is only requested again on demand
+  const retry = useCallback((page) => {
+    if (pagesRef.current.get(page)?.status !== 'error') return;
+    pagesRef.current.delete(page);
+    requestPage(page);
+  }, [requestPage]);
+
+  // Window of pages to render: everything requested + one placeholder page per open side
+  const knownPages = [...pagesRef.current.keys()];
+  const lowestKnown = knownPages.length ? Math.min(...knownPages) : initialPage;
+  const highestKnown = knownPages.length ? Math.max(...knownPages) : initialPage;
+  const startPage = Math.max(minPage, lowestKnown - 1);
+  const endPage = Math.min(lastPageRef.current, highestKnown + 1);
+
+  const rows = [];
+  for (let page = startPage; page <= endPage; page++) {
+    const entry = pagesRef.current.get(page);
+    if (entry?.status === 'loaded') {
+      entry.items.forEach((item, offset) => {
+        rows.push({ key: `${page}:${offset}`, page, item, isPlaceholder: false });
+      });
+    } else {
+      for (let offset = 0; offset < pageSize; offset++) {
+        rows.push({ key: `${page}:${offset}`, page, isPlaceholder: true, error: entry?.error });
+      }
+    }
+  }
+
+  // Call with the rendered index range; requests pages around it
+  const onRangeChange = useCallback((startIndex, endIndex) => {
+    const firstPage = startPage + Math.floor(startIndex / pageSize) - prefetchPages;
+    const lastPage = startPage + Math.floor(endIndex / pageSize) + prefetchPages;
+    for (let page = firstPage; page <= lastPage; page++) requestPage(page);
+  }, [startPage, pageSize, prefetchPages, requestPage]);
+
+  return {
+    rows,
+    startPage,
+    onRangeChange,
+    retry,
+    isInitialPageLoaded: pagesRef.current.get(initialPage)?.status === 'loaded',
+  };
+}
+
+// react-window: onItemsRendered reports the rendered range (onScroll has no scrollHeight)
+function InfiniteList({ fetchPage, initialPage = 0, pageSize = 50, itemSize = 35 }) {
   const listRef = useRef(null);
+  const outerRef = useRef(null);
+  const { rows, startPage, onRangeChange, retry } = useInfiniteLoader({
+    loadPage: fetchPage,
+    pageSize,
+    initialPage,
+  });
 
-  const handleScroll = useCallback(({ scrollOffset, scrollHeight }) => {
-    const threshold = scrollHeight - 200;
-    if (scrollOffset > threshold && hasMore) {
-      loadMore();
+  // Fixed heights make the anchor math simple: an earlier page inserted
+  // above shifts everything down by exactly pageSize rows
+  const previousStartPageRef = useRef(startPage);
+  useLayoutEffect(() => {
+    const insertedRows = (previousStartPageRef.current - startPage) * pageSize;
+    previousStartPageRef.current = startPage;
+    if (insertedRows > 0) {
+      listRef.current.scrollTo(outerRef.current.scrollTop + insertedRows * itemSize);
     }
-  }, [loadMore, hasMore]);
+  }, [startPage, pageSize, itemSize]);
 
   const Row = ({ index, style }) => {
-    if (index >= items.length) {
-      return <div style={style}>Loading...</div>;
+    const row = rows[index];
+    if (row.error) {
+      return <div style={style}><button onClick={() => retry(row.page)}>Retry page</button></div>;
     }
-    return <div style={style}>{items[index].name}</div>;
+    if (row.isPlaceholder) return <div style={style} className="row-skeleton" />;
+    return <div style={style}>{row.item.name}</div>;
   };
 
   return (
     <FixedSizeList
       ref={listRef}
+      outerRef={outerRef}
       height={400}
       width={300}
-      itemCount={hasMore ? items.length + 1 : items.length}
-      itemSize={35}
-      onScroll={handleScroll}
+      itemCount={rows.length}
+      itemSize={itemSize}
+      itemKey={(index) => rows[index].key}
+      onItemsRendered={({ overscanStartIndex, overscanStopIndex }) =>
+        onRangeChange(overscanStartIndex, overscanStopIndex)
+      }
     >
       {Row}
     </FixedSizeList>
@@ -267,6 +399,639 @@ function SimpleVirtualList({ items, itemHeight, containerHeight }) {
   );
 }
 
+// -------------------------------------------------------------------------------------------
+// 9. MEASURED VIRTUALIZATION (DIY useVirtualizer)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * SimpleVirtualList needs a known, fixed row height. Real rows (chat
+ * messages, cards) have heights you only know after rendering them, so:
+ * - Rows start at an estimated size and are measured with ResizeObserver
+ * - Offsets live in a Fenwick tree (prefix sums): updating one row's size
+ *   and finding the row at a scroll offset are both O(log n)
+ * - Measurements are cached by item key, so they survive prepends
+ * - State only changes when the visible range does - not on every scroll
+ * - Prepending items keeps the first visible row where it was (chat UIs)
+ */
+
+function createOffsetTree(sizes) {
+  const count = sizes.length;
+  const itemSizes = Float64Array.from(sizes);
+  const tree = new Float64Array(count + 1); // 1-based Fenwick tree
+
+  // O(n) build: push each node's sum up to its parent
+  for (let i = 1; i <= count; i++) {
+    tree[i] += itemSizes[i - 1];
+    const parent = i + (i & -i);
+    if (parent <= count) tree[parent] += tree[i];
+  }
+
+  let highestStep = 1;
+  while (highestStep * 2 <= count) highestStep *= 2;
+
+  // Sum of the first `index` sizes = top offset of item `index`
+  const offsetOf = (index) => {
+    let sum = 0;
+    for (let i = index; i > 0; i -= i & -i) sum += tree[i];
+    return sum;
+  };
+
+  return {
+    count,
+    offsetOf,
+    sizeAt: (index) => itemSizes[index],
+    totalSize: () => offsetOf(count),
+    setSize: (index, size) => {
+      const delta = size - itemSizes[index];
+      itemSizes[index] = size;
+      for (let i = index + 1; i <= count; i += i & -i) tree[i] += delta;
+    },
+    // Index of the item containing `offset` (binary lifting over the tree)
+    indexAt: (offset) => {
+      let position = 0;
+      let remaining = offset;
+      for (let step = highestStep; step > 0; step >>= 1) {
+        if (position + step <= count && tree[position + step] <= remaining) {
+          position += step;
+          remaining -= tree[position];
+        }
+      }
+      return Math.min(position, count - 1);
+    },
+  };
+}
+
+const EMPTY_RANGE = { start: 0, end: -1 };
+
+function useVirtualizer({
+  count,
+  getScrollElement,
+  estimateSize,
+  getItemKey = (index) => index,
+  overscan = 3,
+}) {
+  const sizeCacheRef = useRef(new Map()); // item key -> measured size
+  const [range, setRange] = useState(EMPTY_RANGE);
+  const [, rerender] = useReducer((n) => n + 1, 0);
+
+  // Observers and listeners call these after the render that created them
+  const latestRef = useRef({ getScrollElement, getItemKey, overscan });
+  useEffect(() => {
+    latestRef.current = { getScrollElement, getItemKey, overscan };
+  });
+
+  // Rebuilt when the item count changes; measured sizes come from the cache
+  const tree = useMemo(
+    () =>
+      createOffsetTree(
+        Array.from(
+          { length: count },
+          (_, index) => sizeCacheRef.current.get(getItemKey(index)) ?? estimateSize(index)
+        )
+      ),
+    [count]
+  );
+  const treeRef = useRef(tree);
+
+  // First visible row, recorded so a prepend can restore it
+  const anchorRef = useRef(null);
+
+  const updateRange = useCallback(() => {
+    const { getScrollElement, getItemKey, overscan } = latestRef.current;
+    const element = getScrollElement();
+    const tree = treeRef.current;
+    if (!element || tree.count === 0) {
+      setRange(EMPTY_RANGE);
+      return;
+    }
+
+    const top = element.scrollTop;
+    const first = tree.indexAt(top);
+    const last = tree.indexAt(top + element.clientHeight);
+    anchorRef.current = {
+      key: getItemKey(first),
+      index: first,
+      count: tree.count,
+      offsetWithin: top - tree.offsetOf(first),
+    };
+
+    const start = Math.max(0, first - overscan);
+    const end = Math.min(tree.count - 1, last + overscan);
+    setRange((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, []);
+
+  // Before paint: if items were prepended, scroll so the anchor row stays put
+  useLayoutEffect(() => {
+    const element = latestRef.current.getScrollElement();
+    const anchor = anchorRef.current;
+    if (element && anchor && anchor.count !== count) {
+      const shiftedIndex = anchor.index + (count - anchor.count);
+      if (
+        shiftedIndex !== anchor.index &&
+        shiftedIndex >= 0 &&
+        shiftedIndex < count &&
+        getItemKey(shiftedIndex) === anchor.key
+      ) {
+        element.scrollTop = tree.offsetOf(shiftedIndex) + anchor.offsetWithin;
+      }
+    }
+    treeRef.current = tree;
+    updateRange();
+  }, [tree]);
+
+  // Scroll and viewport size only recompute the range
+  useEffect(() => {
+    const element = getScrollElement();
+    if (!element) return;
+    element.addEventListener('scroll', updateRange, { passive: true });
+    const resizeObserver = new ResizeObserver(updateRange);
+    resizeObserver.observe(element);
+    return () => {
+      element.removeEventListener('scroll', updateRange);
+      resizeObserver.disconnect();
+    };
+  }, [updateRange]);
+
+  // One observer for all rows; rows report their index via data-index
+  const rowObserverRef = useRef(null);
+  const getRowObserver = () =>
+    (rowObserverRef.current ??= new ResizeObserver((entries) => {
+      const { getScrollElement, getItemKey } = latestRef.current;
+      const element = getScrollElement();
+      const tree = treeRef.current;
+      let changed = false;
+
+      for (const entry of entries) {
+        const index = Number(entry.target.dataset.index);
+        if (!(index < tree.count)) continue;
+
+        const size = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+        const delta = size - tree.sizeAt(index);
+        if (Math.abs(delta) < 0.5) continue;
+
+        sizeCacheRef.current.set(getItemKey(index), size);
+        // A row above the viewport grew/shrank - shift so visible rows don't jump
+        if (element && tree.offsetOf(index) < element.scrollTop) {
+          element.scrollTop += delta;
+        }
+        tree.setSize(index, size);
+        changed = true;
+      }
+
+      if (changed) {
+        updateRange();
+        rerender();
+      }
+    }));
+
+  useEffect(() => () => rowObserverRef.current?.disconnect(), []);
+
+  // Ref callback for each row. Before React 19 a detaching ref only gets
+  // null, not the node, so rows that left the DOM are dropped after each commit
+  const observedRowsRef = useRef(new Set());
+  const measureElement = useCallback((node) => {
+    if (!node || observedRowsRef.current.has(node)) return;
+    observedRowsRef.current.add(node);
+    getRowObserver().observe(node);
+  }, []);
+
+  useEffect(() => {
+    for (const node of observedRowsRef.current) {
+      if (node.isConnected) continue;
+      rowObserverRef.current.unobserve(node);
+      observedRowsRef.current.delete(node);
+    }
+  });
+
+  const scrollToIndex = useCallback((index, { align = 'auto', behavior = 'auto' } = {}) => {
+    const element = latestRef.current.getScrollElement();
+    if (!element) return;
+    let attempts = 0;
+
+    const scroll = () => {
+      const tree = treeRef.current;
+      const target = Math.max(0, Math.min(index, tree.count - 1));
+      const start = tree.offsetOf(target);
+      const size = tree.sizeAt(target);
+      const viewport = element.clientHeight;
+      const current = element.scrollTop;
+
+      let top;
+      if (align === 'start') top = start;
+      else if (align === 'end') top = start + size - viewport;
+      else if (align === 'center') top = start - (viewport - size) / 2;
+      else if (start < current) top = start; // auto: scroll the least needed
+      else if (start + size > current + viewport) top = start + size - viewport;
+      else return;
+
+      top = Math.max(0, Math.min(top, tree.totalSize() - viewport));
+      if (Math.abs(top - current) < 1) return;
+      element.scrollTo({ top, behavior });
+
+      // Rows near the target were estimates until they rendered - re-aim
+      // once they're measured. Smooth scrolling would restart, so skip it.
+      if (behavior !== 'smooth' && ++attempts < 10) requestAnimationFrame(scroll);
+    };
+
+    scroll();
+  }, []);
+
+  const virtualItems = [];
+  for (let index = range.start; index <= range.end && index < tree.count; index++) {
+    virtualItems.push({
+      index,
+      key: getItemKey(index),
+      start: tree.offsetOf(index),
+      size: tree.sizeAt(index),
+    });
+  }
+
+  return { virtualItems, totalSize: tree.totalSize(), measureElement, scrollToIndex };
+}
+
+const VirtualList = forwardRef(function VirtualList(
+  {
+    items,
+    renderItem,
+    estimateSize = () => 48,
+    getItemKey = (item) => item.id,
+    overscan = 5,
+    height = 400,
+    onRangeChange,
+    ...props
+  },
+  ref
+) {
+  const scrollRef = useRef(null);
+  const virtualizer = useVirtualizer({
+    count: items.length,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: (index) => estimateSize(items[index], index),
+    getItemKey: (index) => getItemKey(items[index]),
+    overscan,
+  });
+
+  useImperativeHandle(ref, () => ({ scrollToIndex: virtualizer.scrollToIndex }), [
+    virtualizer.scrollToIndex,
+  ]);
+
+  // Report the rendered range (overscan included), e.g. to an infinite loader
+  const { virtualItems } = virtualizer;
+  const firstIndex = virtualItems[0]?.index;
+  const lastIndex = virtualItems[virtualItems.length - 1]?.index;
+  useEffect(() => {
+    if (firstIndex !== undefined) onRangeChange?.(firstIndex, lastIndex);
+  }, [firstIndex, lastIndex]);
+
+  return (
+    // overflowAnchor: none - we anchor ourselves; the browser's would double it
+    <div ref={scrollRef} style={{ height, overflow: 'auto', overflowAnchor: 'none' }} {...props}>
+      <div style={{ height: virtualizer.totalSize, position: 'relative' }}>
+        {virtualizer.virtualItems.map(({ index, key, start }) => (
+          <div
+            key={key}
+            data-index={index}
+            ref={virtualizer.measureElement}
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              width: '100%',
+              transform: `translateY(${start}px)`,
+            }}
+          >
+            {renderItem(items[index], index)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+// Usage - chat: open on the newest page, older pages load above as you scroll
+function ChatMessages({ fetchMessagesPage, newestPage }) {
+  const listRef = useRef(null);
+  const { rows, onRangeChange, isInitialPageLoaded } = useInfiniteLoader({
+    loadPage: fetchMessagesPage,
+    pageSize: 30,
+    initialPage: newestPage,
+  });
+
+  useEffect(() => {
+    if (isInitialPageLoaded) {
+      listRef.current?.scrollToIndex(rows.length - 1, { align: 'end' });
+    }
+  }, [isInitialPageLoaded]);
+
+  return (
+    <VirtualList
+      ref={listRef}
+      items={rows}
+      getItemKey={(row) => row.key} // Placeholder and message share a key
+      estimateSize={(row) => (row.item?.attachments ? 240 : 64)}
+      onRangeChange={onRangeChange}
+      renderItem={(row) =>
+        row.isPlaceholder ? (
+          <div className="message message--skeleton" />
+        ) : (
+          <div className="message">
+            <strong>{row.item.author}</strong>
+            <p>{row.item.text}</p>
+          </div>
+        )
+      }
+    />
+  );
+}
+
+// -------------------------------------------------------------------------------------------
+// 10. 2D GRID WITH STICKY HEADERS (DIY VirtualizedGrid)
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Spreadsheet-like reports (200 columns x 100k rows) need more than
+ * FixedSizeGrid gives:
+ * - Both axes virtualized; rows have a fixed height, columns variable
+ *   widths kept in the same offset tree as section 9
+ * - Sized by its container (ResizeObserver), not hard-coded
+ * - Header row pinned with position: sticky (top), leading columns pinned
+ *   with a sticky-left block at the start of each row
+ * - Drag the handle, or press Shift+Left/Right on a header cell, to resize
+ *   a column (the handle isn't a tab stop - the grid has exactly one)
+ * - Keyboard navigation per the ARIA grid pattern: one tabbable cell
+ *   (roving tabindex), arrows, Home/End, Ctrl+Home/End, PageUp/PageDown.
+ *   aria-rowcount/aria-colindex tell screen readers the full size even
+ *   though only a window of cells exists in the DOM.
+ *
+ * The active cell's row and column are always rendered so the tabbable
+ * cell never disappears when it is scrolled out of view.
+ */
+
+const HEADER_ROW = -1;
+
+function VirtualizedGrid({
+  rows,
+  columns,
+  rowHeight = 36,
+  headerHeight = 40,
+  frozenColumns = 1,
+  overscan = 2,
+  getRowKey = (row, index) => row.id ?? index,
+  ...props
+}) {
+  const scrollRef = useRef(null);
+  // Resized widths by column key, so they survive columns being added,
+  // removed or reordered; everything else follows the columns prop
+  const [resizedWidths, setResizedWidths] = useState({});
+  const widths = useMemo(
+    () => columns.map((column) => resizedWidths[column.key] ?? column.width ?? 150),
+    [columns, resizedWidths]
+  );
+  const setColumnWidth = (col, width) =>
+    setResizedWidths((prev) => ({ ...prev, [columns[col].key]: width }));
+  const [ranges, setRanges] = useState({ rowStart: 0, rowEnd: -1, colStart: 0, colEnd: -1 });
+  const [active, setActive] = useState({ row: HEADER_ROW, col: 0 });
+  const shouldFocusRef = useRef(false);
+
+  const colTree = useMemo(() => createOffsetTree(widths), [widths]);
+  const frozenCount = Math.min(frozenColumns, columns.length);
+  const frozenWidth = colTree.offsetOf(frozenCount);
+  const totalWidth = colTree.totalSize();
+  const bodyHeight = rows.length * rowHeight;
+
+  const updateRanges = useCallback(() => {
+    const element = scrollRef.current;
+    if (!element || rows.length === 0 || columns.length === 0) return;
+
+    const { scrollTop, scrollLeft, clientWidth, clientHeight } = element;
+    const bodyViewport = clientHeight - headerHeight; // Header covers the top
+    const next = {
+      rowStart: Math.max(0, Math.floor(scrollTop / rowHeight) - overscan),
+      rowEnd: Math.min(rows.length - 1, Math.ceil((scrollTop + bodyViewport) / rowHeight) + overscan),
+      colStart: Math.max(frozenCount, colTree.indexAt(scrollLeft + frozenWidth) - overscan),
+      colEnd: Math.min(columns.length - 1, colTree.indexAt(scrollLeft + clientWidth) + overscan),
+    };
+
+    setRanges((prev) =>
+      prev.rowStart === next.rowStart &&
+      prev.rowEnd === next.rowEnd &&
+      prev.colStart === next.colStart &&
+      prev.colEnd === next.colEnd
+        ? prev
+        : next
+    );
+  }, [rows.length, columns.length, rowHeight, headerHeight, overscan, colTree, frozenCount, frozenWidth]);
+
+  useLayoutEffect(() => {
+    updateRanges();
+    const element = scrollRef.current;
+    const resizeObserver = new ResizeObserver(updateRanges);
+    resizeObserver.observe(element);
+    return () => resizeObserver.disconnect();
+  }, [updateRanges]);
+
+  // Bring a cell fully into view, accounting for the sticky header and columns
+  const scrollCellIntoView = useCallback((row, col) => {
+    const element = scrollRef.current;
+    const { scrollTop, scrollLeft, clientWidth, clientHeight } = element;
+
+    if (row !== HEADER_ROW) {
+      const top = row * rowHeight;
+      const bodyViewport = clientHeight - headerHeight;
+      if (top < scrollTop) element.scrollTop = top;
+      else if (top + rowHeight > scrollTop + bodyViewport) {
+        element.scrollTop = top + rowHeight - bodyViewport;
+      }
+    }
+
+    if (col >= frozenCount) {
+      const left = colTree.offsetOf(col);
+      const right = left + colTree.sizeAt(col);
+      if (left < scrollLeft + frozenWidth) element.scrollLeft = left - frozenWidth;
+      else if (right > scrollLeft + clientWidth) element.scrollLeft = right - clientWidth;
+    }
+  }, [rowHeight, headerHeight, colTree, frozenCount, frozenWidth]);
+
+  const handleKeyDown = (e) => {
+    const element = scrollRef.current;
+    const pageSize = Math.max(1, Math.floor((element.clientHeight - headerHeight) / rowHeight) - 1);
+    const lastRow = rows.length - 1;
+    const lastCol = columns.length - 1;
+    let { row, col } = active;
+
+    switch (e.key) {
+      case 'ArrowRight': col = Math.min(lastCol, col + 1); break;
+      case 'ArrowLeft': col = Math.max(0, col - 1); break;
+      case 'ArrowDown': row = Math.min(lastRow, row + 1); break;
+      case 'ArrowUp': row = Math.max(HEADER_ROW, row - 1); break;
+      case 'PageDown': row = Math.min(lastRow, row + pageSize); break;
+      case 'PageUp': row = Math.max(HEADER_ROW, row - pageSize); break;
+      case 'Home':
+        col = 0;
+        if (e.ctrlKey) row = HEADER_ROW;
+        break;
+      case 'End':
+        col = lastCol;
+        if (e.ctrlKey) row = lastRow;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    shouldFocusRef.current = true;
+    setActive({ row, col });
+    scrollCellIntoView(row, col);
+  };
+
+  // Move DOM focus after the target cell has rendered
+  useEffect(() => {
+    if (!shouldFocusRef.current) return;
+    shouldFocusRef.current = false;
+    scrollRef.current
+      .querySelector(`[data-row="${active.row}"][data-col="${active.col}"]`)
+      ?.focus({ preventScroll: true });
+  }, [active]);
+
+  const startResize = (col) => (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const startX = e.clientX;
+    const startWidth = widths[col];
+    const minWidth = columns[col].minWidth ?? 60;
+
+    const handleMove = (moveEvent) => {
+      const width = Math.max(minWidth, startWidth + moveEvent.clientX - startX);
+      setColumnWidth(col, width);
+    };
+    const handleUp = () => {
+      e.target.removeEventListener('pointermove', handleMove);
+      e.target.removeEventListener('pointerup', handleUp);
+    };
+    e.target.addEventListener('pointermove', handleMove);
+    e.target.addEventListener('pointerup', handleUp);
+  };
+
+  const resizeWithKeyboard = (col) => (e) => {
+    const step = !e.shiftKey ? 0 : e.key === 'ArrowRight' ? 10 : e.key === 'ArrowLeft' ? -10 : 0;
+    if (!step) return;
+    e.preventDefault();
+    e.stopPropagation(); // Not a cell move
+    const minWidth = columns[col].minWidth ?? 60;
+    setColumnWidth(col, Math.max(minWidth, widths[col] + step));
+  };
+
+  // Visible columns plus the active one; frozen columns render separately
+  const scrollingCols = [];
+  for (let col = ranges.colStart; col <= ranges.colEnd; col++) scrollingCols.push(col);
+  if (active.col >= frozenCount && !scrollingCols.includes(active.col)) scrollingCols.push(active.col);
+  const frozenCols = Array.from({ length: frozenCount }, (_, col) => col);
+
+  const visibleRows = [];
+  for (let row = ranges.rowStart; row <= ranges.rowEnd; row++) visibleRows.push(row);
+  if (active.row >= 0 && !visibleRows.includes(active.row)) visibleRows.push(active.row);
+
+  const renderCell = (row, col, style) => {
+    const isHeader = row === HEADER_ROW;
+    const column = columns[col];
+    const isActive = active.row === row && active.col === col;
+
+    return (
+      <div
+        key={column.key}
+        role={isHeader ? 'columnheader' : col < frozenCount ? 'rowheader' : 'gridcell'}
+        aria-colindex={col + 1}
+        data-row={row}
+        data-col={col}
+        tabIndex={isActive ? 0 : -1}
+        aria-keyshortcuts={isHeader ? 'Shift+ArrowLeft Shift+ArrowRight' : undefined}
+        onKeyDown={isHeader ? resizeWithKeyboard(col) : undefined}
+        onClick={() => setActive({ row, col })}
+        className={isActive ? 'grid-cell grid-cell--active' : 'grid-cell'}
+        style={{ width: widths[col], height: '100%', overflow: 'hidden', ...style }}
+      >
+        {isHeader ? column.header : column.render?.(rows[row], row) ?? rows[row][column.key]}
+        {/* Pointer-only; keyboard users resize from the header cell */}
+        {isHeader && (
+          <div
+            aria-hidden="true"
+            onPointerDown={startResize(col)}
+            className="grid-resize-handle"
+            style={{ position: 'absolute', top: 0, right: 0, width: 6, height: '100%', cursor: 'col-resize' }}
+          />
+        )}
+      </div>
+    );
+  };
+
+  // Sticky-left block at the start of a row holds the frozen cells
+  const renderRowCells = (row) => (
+    <>
+      <div style={{ position: 'sticky', left: 0, zIndex: 1, display: 'flex', width: frozenWidth, height: '100%' }}>
+        {frozenCols.map((col) => renderCell(row, col, { position: 'relative' }))}
+      </div>
+      {scrollingCols.map((col) =>
+        renderCell(row, col, { position: 'absolute', top: 0, left: colTree.offsetOf(col) })
+      )}
+    </>
+  );
+
+  return (
+    <div
+      ref={scrollRef}
+      role="grid"
+      aria-rowcount={rows.length + 1}
+      aria-colcount={columns.length}
+      onScroll={updateRanges}
+      onKeyDown={handleKeyDown}
+      style={{ width: '100%', height: '100%', overflow: 'auto', position: 'relative' }}
+      {...props}
+    >
+      <div style={{ width: totalWidth, height: headerHeight + bodyHeight, position: 'relative' }}>
+        <div
+          role="row"
+          aria-rowindex={1}
+          style={{ position: 'sticky', top: 0, zIndex: 2, width: totalWidth, height: headerHeight }}
+        >
+          {renderRowCells(HEADER_ROW)}
+        </div>
+
+        <div style={{ position: 'relative', width: totalWidth, height: bodyHeight }}>
+          {visibleRows.map((row) => (
+            <div
+              key={getRowKey(rows[row], row)}
+              role="row"
+              aria-rowindex={row + 2}
+              style={{ position: 'absolute', top: row * rowHeight, width: totalWidth, height: rowHeight }}
+            >
+              {renderRowCells(row)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Usage - fills whatever box it's placed in
+const reportColumns = [
+  { key: 'region', header: 'Region', width: 180 },
+  ...Array.from({ length: 199 }, (_, i) => ({
+    key: `m${i}`,
+    header: `Metric ${i + 1}`,
+    width: 120,
+    render: (row) => row[`m${i}`].toFixed(2),
+  })),
+];
+
+function ReportPage({ reportRows }) {
+  return (
+    <div style={{ height: 'calc(100vh - 120px)' }}>
+      <VirtualizedGrid rows={reportRows} columns={reportColumns} aria-label="Regional report" />
+    </div>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -277,12 +1042,18 @@ function SimpleVirtualList({ items, itemHeight, containerHeight }) {
  * 2. Use react-window for simplicity
  * 3. FixedSizeList for uniform heights
  * 4. VariableSizeList for dynamic heights
+ * 5. Measured rows + prefix sums when heights are unknown up front
  *
  * BEST PRACTICES:
  * - Use virtualization for 100+ items
  * - Memoize row components
  * - Handle dynamic sizes properly
  * - Consider infinite scroll for large datasets
+ * - Only update state when the visible range changes
+ * - Load by page, once per page, from the rendered range - not scroll events
+ * - Cache measurements by item key, not index
+ * - Pin headers with position: sticky instead of syncing scroll positions
+ * - Keep the focused cell rendered so keyboard users don't lose it
  *
  * LIBRARIES:
  * - react-window (lightweight, recommended)
@@ -37,7 +37,7 @@ import {
   defer,
   Await,
 } from 'react-router-dom';
-import { Suspense } from 'react';
+import { Suspense, useEffect, useRef } from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. CREATING A DATA ROUTER
@@ -85,8 +85,13 @@ const routerJSX = createBrowserRouter(
 );
 
 // App with RouterProvider
+// AnnouncerProvider sits outside so routes can announce (section 14)
 function App() {
-  return <RouterProvider router={router} />;
+  return (
+    <AnnouncerProvider>
+      <RouterProvider router={router} />
+    </AnnouncerProvider>
+  );
 }
 
 // -------------------------------------------------------------------------------------------
@@ -659,7 +664,8 @@ function ProgrammaticSubmit() {
 
 /**
  * Route handles store custom metadata accessible via useMatches.
- * Perfect for breadcrumbs, titles, permissions.
+ * Perfect for breadcrumbs, titles, permissions. The titles are announced
+ * on navigation (section 14).
  */
 
 const routesWithHandles = [
@@ -667,6 +673,7 @@ const routesWithHandles = [
     path: '/',
     element: <RootLayout />,
     handle: {
+      title: 'Home',
       crumb: () => <Link to="/">Home</Link>,
     },
     children: [
@@ -674,6 +681,7 @@ const routesWithHandles = [
         path: 'products',
         element: <ProductsLayout />,
         handle: {
+          title: 'Products',
           crumb: () => <Link to="/products">Products</Link>,
         },
         children: [
@@ -682,6 +690,7 @@ const routesWithHandles = [
             element: <ProductDetail />,
             loader: productLoader,
             handle: {
+              title: (data) => data.product.name,
               crumb: (data) => <span>{data.product.name}</span>,
             },
           },
@@ -764,17 +773,23 @@ export async function action({ request }) {
 // -------------------------------------------------------------------------------------------
 
 import { ScrollRestoration } from 'react-router-dom';
+import { LandmarkProvider, Landmark, SkipLinks } from '../10-advanced-patterns/accessibility';
 
+// Landmarks and skip links: 10-advanced-patterns/accessibility.jsx
 function RootLayout() {
   return (
-    <>
-      <header>...</header>
-      <main>
+    <LandmarkProvider>
+      <SkipLinks />
+      <Landmark role="banner" skipLink={false}>...</Landmark>
+      <Landmark role="main">
         <Outlet />
-      </main>
+      </Landmark>
       {/* Automatically restores scroll position */}
       <ScrollRestoration />
-    </>
+      {/* RouteFocus first: its effect runs first, so the announcer sees where focus went */}
+      <RouteFocus />
+      <RouteAnnouncer />
+    </LandmarkProvider>
   );
 }
 
@@ -791,7 +806,131 @@ function CustomScrollRestoration() {
 }
 
 // -------------------------------------------------------------------------------------------
-// 14. COMPLETE EXAMPLE - CRUD APPLICATION
+// 14. ROUTE CHANGE ANNOUNCEMENTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A client-side navigation doesn't reload the page, so screen readers say
+ * nothing. RouteAnnouncer reads the deepest route's handle.title (a string or
+ * (data) => string), sets document.title and announces it after every
+ * navigation - matches only change once the loaders are done, so the title
+ * is read when the new page is actually there. The first page load is
+ * skipped; the browser announces that one itself. When RouteFocus
+ * (section 15) put focus on a heading, that heading is read, so the title
+ * isn't announced as well; focus on <main> or a control still announces.
+ */
+
+import { useMatches, useLocation } from 'react-router-dom';
+import { AnnouncerProvider, useAnnounce } from '../10-advanced-patterns/accessibility';
+
+// Deepest route's handle[key]; functions are called with that route's data
+function useRouteHandle(key) {
+  const matches = useMatches();
+  const match = [...matches].reverse().find((m) => m.handle?.[key] !== undefined);
+  if (!match) return undefined;
+  const value = match.handle[key];
+  return typeof value === 'function' ? value(match.data) : value;
+}
+
+const isHeading = (el) => /^H[1-6]$/.test(el?.tagName) || el?.getAttribute('role') === 'heading';
+
+function RouteAnnouncer({ siteName = 'Acme' }) {
+  const title = useRouteHandle('title');
+  const focusPolicy = useRouteHandle('focus') ?? 'heading';
+  const location = useLocation();
+  const announce = useAnnounce();
+  const lastKeyRef = useRef(location.key);
+
+  useEffect(() => {
+    document.title = title ? `${title} | ${siteName}` : siteName;
+  }, [title, siteName]);
+
+  // Keyed on location.key, not title: a revalidated title isn't a navigation,
+  // while navigating to the same page again is. Comparing keys (not a
+  // first-run flag) keeps StrictMode's second mount effect quiet too
+  useEffect(() => {
+    if (lastKeyRef.current === location.key) return;
+    lastKeyRef.current = location.key;
+    // With 'none', a focused heading is left over from an earlier page
+    if (focusPolicy !== 'none' && isHeading(document.activeElement)) return;
+    announce(`Navigated to ${title ?? siteName}`);
+  }, [location.key]);
+
+  return null;
+}
+
+// -------------------------------------------------------------------------------------------
+// 15. FOCUS AFTER NAVIGATION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * After a click on a link, focus stays on a link that may no longer exist.
+ * RouteFocus moves it into the new page according to the deepest route's
+ * handle.focus:
+ * - 'heading' (default): the main landmark's <h1>
+ * - 'main': the main landmark itself
+ * - 'none': leave focus alone - for routes that only change search params,
+ *   like filters, where the user is still working with the same controls
+ * - any other string: a CSS selector inside main
+ * A URL hash focuses its target instead; a missing target falls back to main.
+ * Scrolling stays with ScrollRestoration, so focus doesn't scroll.
+ */
+
+import { useLandmarks } from '../10-advanced-patterns/accessibility';
+
+const routesWithFocusPolicy = [
+  {
+    path: '/',
+    element: <RootLayout />,
+    children: [
+      { path: 'inbox', element: <Inbox />, handle: { title: 'Inbox' } },
+      {
+        path: 'inbox/:messageId',
+        element: <Message />,
+        loader: messageLoader,
+        handle: { title: (data) => data.subject, focus: '.message-body' },
+      },
+      { path: 'search', element: <SearchPage />, handle: { title: 'Search', focus: 'none' } },
+    ],
+  },
+];
+
+function getFocusTarget(main, policy, hash) {
+  const hashTarget = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+  if (hashTarget) return hashTarget;
+  if (policy === 'main') return main;
+  return main.querySelector(policy === 'heading' ? 'h1' : policy) ?? main;
+}
+
+function RouteFocus() {
+  const policy = useRouteHandle('focus') ?? 'heading';
+  const location = useLocation();
+  const { landmarks } = useLandmarks();
+  const lastKeyRef = useRef(location.key);
+
+  // Same key check as RouteAnnouncer: a fresh page (including StrictMode's
+  // re-run) keeps focus at the top
+  useEffect(() => {
+    if (lastKeyRef.current === location.key) return;
+    lastKeyRef.current = location.key;
+    if (policy === 'none') return;
+
+    const main = landmarks.find((l) => l.role === 'main')?.ref.current ?? document.querySelector('main');
+    if (!main) return;
+
+    const target = getFocusTarget(main, policy, location.hash);
+    // Headings aren't focusable; -1 makes them focusable without a Tab stop
+    if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: !location.hash });
+  }, [location.key]);
+
+  return null;
+}
+
+// -------------------------------------------------------------------------------------------
+// 16. COMPLETE EXAMPLE - CRUD APPLICATION
 // -------------------------------------------------------------------------------------------
 
 // Route configuration
@@ -943,6 +1082,8 @@ function ContactDetail() {
  * - Handle errors at appropriate level
  * - Use fetcher for in-place updates
  * - Use handles for route metadata
+ * - Announce route changes (handle.title) for screen reader users
+ * - Move focus to the new page's heading after navigation (handle.focus)
  * - Implement optimistic UI with fetcher
  *
  * MIGRATION FROM useEffect:
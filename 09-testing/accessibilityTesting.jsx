@@ -0,0 +1,550 @@
+/**
+ * TOPIC: ACCESSIBILITY TESTING
+ * DESCRIPTION:
+ * Automated checks catch the accessibility bugs that are easy to miss in
+ * review: buttons without names, duplicate ids, ARIA attributes on the wrong
+ * role, unlabelled inputs. The audit below runs in jsdom (no layout), plugs
+ * into expect as toHaveNoA11yViolations() and produces stable text reports
+ * for snapshots. It complements - doesn't replace - testing with a keyboard
+ * and a screen reader.
+ */
+
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import { renderWithProviders } from './testUtils';
+
+// -------------------------------------------------------------------------------------------
+// 1. ROLES AND ACCESSIBLE NAMES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A simplified version of what the browser exposes to assistive technology:
+ * - Role: the role attribute, else the element's implicit role
+ * - Name: aria-labelledby > aria-label > <label> / alt / value > content > title
+ * Good enough to find missing names; not a full accname implementation.
+ */
+
+const INPUT_ROLES = {
+  button: 'button',
+  submit: 'button',
+  reset: 'button',
+  image: 'button',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  range: 'slider',
+  number: 'spinbutton',
+  search: 'searchbox',
+  hidden: null,
+};
+
+// <header>/<footer> are only page landmarks outside sectioning content
+const SECTIONING = 'article, aside, main, nav, section';
+const isNamed = (el) => el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby');
+
+const IMPLICIT_ROLES = {
+  A: (el) => (el.hasAttribute('href') ? 'link' : null),
+  BUTTON: () => 'button',
+  IMG: (el) => (el.getAttribute('alt') === '' ? 'presentation' : 'img'),
+  INPUT: (el) => (el.type in INPUT_ROLES ? INPUT_ROLES[el.type] : 'textbox'),
+  SELECT: (el) => (el.multiple || el.size > 1 ? 'listbox' : 'combobox'),
+  TEXTAREA: () => 'textbox',
+  H1: () => 'heading',
+  H2: () => 'heading',
+  H3: () => 'heading',
+  H4: () => 'heading',
+  H5: () => 'heading',
+  H6: () => 'heading',
+  NAV: () => 'navigation',
+  MAIN: () => 'main',
+  UL: () => 'list',
+  OL: () => 'list',
+  LI: () => 'listitem',
+  DIALOG: () => 'dialog',
+  OPTION: () => 'option',
+  SUMMARY: () => 'button',
+  TABLE: () => 'table',
+  THEAD: () => 'rowgroup',
+  TBODY: () => 'rowgroup',
+  TFOOT: () => 'rowgroup',
+  TR: () => 'row',
+  TH: (el) => (el.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader'),
+  TD: () => 'cell',
+  HEADER: (el) => (el.parentElement?.closest(SECTIONING) ? null : 'banner'),
+  FOOTER: (el) => (el.parentElement?.closest(SECTIONING) ? null : 'contentinfo'),
+  ASIDE: () => 'complementary',
+  SECTION: (el) => (isNamed(el) ? 'region' : null),
+  FORM: () => 'form',
+};
+
+export function getRole(el) {
+  const explicit = el.getAttribute('role')?.trim().split(/\s+/)[0];
+  if (explicit) return explicit;
+  return IMPLICIT_ROLES[el.tagName]?.(el) ?? null;
+}
+
+// Roles whose name comes from their text when nothing else names them
+const NAME_FROM_CONTENT = new Set([
+  'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem', 'heading',
+  'cell', 'gridcell', 'columnheader', 'rowheader', 'tooltip',
+]);
+
+const FORM_CONTROLS = new Set(['INPUT', 'SELECT', 'TEXTAREA']);
+
+function textFromContent(node) {
+  return [...node.childNodes]
+    .map((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+      if (child.nodeType !== Node.ELEMENT_NODE) return '';
+      if (child.getAttribute('aria-hidden') === 'true') return '';
+      if (child.tagName === 'IMG') return child.getAttribute('alt') ?? '';
+      return child.getAttribute('aria-label') ?? textFromContent(child);
+    })
+    .join(' ');
+}
+
+const normalizeSpace = (text) => text.replace(/\s+/g, ' ').trim();
+
+export function getAccessibleName(el) {
+  const doc = el.ownerDocument;
+
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy
+      .split(/\s+/)
+      .map((id) => doc.getElementById(id)?.textContent ?? '')
+      .join(' ');
+    if (normalizeSpace(text)) return normalizeSpace(text);
+  }
+
+  const ariaLabel = normalizeSpace(el.getAttribute('aria-label') ?? '');
+  if (ariaLabel) return ariaLabel;
+
+  if (FORM_CONTROLS.has(el.tagName)) {
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return normalizeSpace(el.value);
+    }
+    if (el.tagName === 'INPUT' && el.type === 'image') return normalizeSpace(el.alt);
+    const labelText = [...(el.labels ?? [])].map((label) => label.textContent).join(' ');
+    if (normalizeSpace(labelText)) return normalizeSpace(labelText);
+  } else if (el.tagName === 'IMG') {
+    return normalizeSpace(el.getAttribute('alt') ?? '');
+  } else if (NAME_FROM_CONTENT.has(getRole(el))) {
+    const text = normalizeSpace(textFromContent(el));
+    if (text) return text;
+  }
+
+  return normalizeSpace(el.getAttribute('title') ?? '');
+}
+
+// jsdom has no layout, so "hidden" means hidden / aria-hidden / inert
+function isHiddenFromAT(el) {
+  return Boolean(el.closest('[hidden], [aria-hidden="true"], [inert]'));
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. ARIA ROLE/ATTRIBUTE TABLES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * From WAI-ARIA 1.2, trimmed to what React apps commonly use.
+ * Global attributes are valid on any role; the others only on the listed ones.
+ */
+
+const VALID_ROLES = new Set([
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell',
+  'checkbox', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+  'definition', 'dialog', 'document', 'feed', 'figure', 'form', 'generic', 'grid',
+  'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox', 'listitem',
+  'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note',
+  'option', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+  'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator',
+  'slider', 'spinbutton', 'status', 'switch', 'tab', 'table', 'tablist',
+  'tabpanel', 'term', 'textbox', 'timer', 'toolbar', 'tooltip', 'tree',
+  'treegrid', 'treeitem',
+]);
+
+const GLOBAL_ATTRIBUTES = new Set([
+  'aria-atomic', 'aria-busy', 'aria-controls', 'aria-current', 'aria-describedby',
+  'aria-description', 'aria-details', 'aria-disabled', 'aria-errormessage',
+  'aria-flowto', 'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label',
+  'aria-labelledby', 'aria-live', 'aria-owns', 'aria-relevant', 'aria-roledescription',
+]);
+
+const VALUE_ROLES = ['slider', 'spinbutton', 'progressbar', 'scrollbar', 'separator', 'meter'];
+const SET_ITEM_ROLES = ['listitem', 'option', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'treeitem', 'row', 'radio', 'article'];
+
+const ROLE_ATTRIBUTES = {
+  'aria-activedescendant': ['application', 'combobox', 'grid', 'group', 'listbox', 'menu', 'menubar', 'radiogroup', 'searchbox', 'spinbutton', 'tablist', 'textbox', 'toolbar', 'tree', 'treegrid'],
+  'aria-autocomplete': ['combobox', 'searchbox', 'textbox'],
+  'aria-checked': ['checkbox', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'switch', 'treeitem'],
+  'aria-colcount': ['grid', 'table', 'treegrid'],
+  'aria-colindex': ['cell', 'columnheader', 'gridcell', 'row', 'rowheader'],
+  'aria-colspan': ['cell', 'columnheader', 'gridcell', 'rowheader'],
+  'aria-expanded': ['application', 'button', 'checkbox', 'columnheader', 'combobox', 'gridcell', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'row', 'rowheader', 'switch', 'tab', 'treeitem'],
+  'aria-haspopup': ['application', 'button', 'combobox', 'gridcell', 'link', 'menuitem', 'searchbox', 'slider', 'tab', 'textbox', 'treeitem'],
+  'aria-level': ['heading', 'listitem', 'row', 'treeitem'],
+  'aria-modal': ['alertdialog', 'dialog'],
+  'aria-multiline': ['searchbox', 'textbox'],
+  'aria-multiselectable': ['grid', 'listbox', 'tablist', 'tree', 'treegrid'],
+  'aria-orientation': ['listbox', 'menu', 'menubar', 'radiogroup', 'scrollbar', 'separator', 'slider', 'tablist', 'toolbar', 'tree', 'treegrid'],
+  'aria-placeholder': ['searchbox', 'textbox'],
+  'aria-posinset': SET_ITEM_ROLES,
+  'aria-pressed': ['button'],
+  'aria-readonly': ['checkbox', 'columnheader', 'combobox', 'grid', 'gridcell', 'listbox', 'radiogroup', 'rowheader', 'searchbox', 'slider', 'spinbutton', 'switch', 'textbox', 'treegrid'],
+  'aria-required': ['checkbox', 'columnheader', 'combobox', 'gridcell', 'listbox', 'radiogroup', 'rowheader', 'searchbox', 'spinbutton', 'switch', 'textbox', 'tree', 'treegrid'],
+  'aria-rowcount': ['grid', 'table', 'treegrid'],
+  'aria-rowindex': ['cell', 'columnheader', 'gridcell', 'row', 'rowheader'],
+  'aria-rowspan': ['cell', 'columnheader', 'gridcell', 'rowheader'],
+  'aria-selected': ['columnheader', 'gridcell', 'option', 'row', 'rowheader', 'tab', 'treeitem'],
+  'aria-setsize': SET_ITEM_ROLES,
+  'aria-sort': ['columnheader', 'rowheader'],
+  'aria-valuemax': VALUE_ROLES,
+  'aria-valuemin': VALUE_ROLES,
+  'aria-valuenow': VALUE_ROLES,
+  'aria-valuetext': VALUE_ROLES,
+};
+
+// Only checked for explicit roles on non-native elements: a native
+// <input type="checkbox"> already exposes its checked state
+const REQUIRED_ATTRIBUTES = {
+  checkbox: ['aria-checked'],
+  combobox: ['aria-expanded'],
+  heading: ['aria-level'],
+  menuitemcheckbox: ['aria-checked'],
+  menuitemradio: ['aria-checked'],
+  radio: ['aria-checked'],
+  scrollbar: ['aria-controls', 'aria-valuenow'],
+  slider: ['aria-valuenow'],
+  switch: ['aria-checked'],
+};
+
+// -------------------------------------------------------------------------------------------
+// 3. AUDIT RULES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Each rule: { id, impact, check(root) => [{ element, message }] }
+ * Rules are plain objects, so a project can add its own or drop one.
+ */
+
+const NEEDS_NAME = new Set([
+  'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem',
+  'menuitemcheckbox', 'menuitemradio', 'option', 'combobox', 'listbox',
+  'textbox', 'searchbox', 'slider', 'spinbutton', 'dialog', 'alertdialog',
+  'img', 'tabpanel', 'progressbar', 'meter', 'tree', 'grid', 'treeitem',
+]);
+
+const all = (root, selector) => [
+  ...(root.matches?.(selector) ? [root] : []),
+  ...root.querySelectorAll(selector),
+];
+
+export const a11yRules = [
+  {
+    id: 'duplicate-id',
+    impact: 'serious',
+    check(root) {
+      const byId = new Map();
+      all(root, '[id]').forEach((el) => byId.set(el.id, [...(byId.get(el.id) ?? []), el]));
+      return [...byId]
+        .filter(([, elements]) => elements.length > 1)
+        .map(([id, elements]) => ({
+          element: elements[1],
+          message: `id "${id}" is used by ${elements.length} elements`,
+        }));
+    },
+  },
+  {
+    id: 'aria-reference',
+    impact: 'serious',
+    check(root) {
+      const doc = root.ownerDocument ?? root;
+      const attributes = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-activedescendant', 'aria-errormessage', 'aria-owns'];
+      return attributes.flatMap((name) =>
+        all(root, `[${name}]`).flatMap((el) =>
+          el
+            .getAttribute(name)
+            .split(/\s+/)
+            .filter((id) => id && !doc.getElementById(id))
+            .map((id) => ({ element: el, message: `${name} points to missing id "${id}"` }))
+        )
+      );
+    },
+  },
+  {
+    id: 'aria-valid-role',
+    impact: 'serious',
+    check(root) {
+      return all(root, '[role]')
+        .filter((el) => !VALID_ROLES.has(getRole(el)))
+        .map((el) => ({ element: el, message: `role "${getRole(el)}" is not a WAI-ARIA role` }));
+    },
+  },
+  {
+    id: 'aria-allowed-attribute',
+    impact: 'serious',
+    check(root) {
+      return all(root, '*').flatMap((el) => {
+        const role = getRole(el);
+        return [...el.attributes]
+          .map((attr) => attr.name)
+          .filter((name) => name.startsWith('aria-') && !GLOBAL_ATTRIBUTES.has(name))
+          .flatMap((name) => {
+            if (!ROLE_ATTRIBUTES[name]) {
+              return [{ element: el, message: `${name} is not an ARIA attribute` }];
+            }
+            if (!ROLE_ATTRIBUTES[name].includes(role)) {
+              return [{ element: el, message: `${name} is not allowed on role "${role ?? 'none'}"` }];
+            }
+            return [];
+          });
+      });
+    },
+  },
+  {
+    id: 'aria-required-attribute',
+    impact: 'critical',
+    check(root) {
+      return all(root, '[role]')
+        .filter((el) => !FORM_CONTROLS.has(el.tagName))
+        .flatMap((el) =>
+          (REQUIRED_ATTRIBUTES[getRole(el)] ?? [])
+            .filter((name) => !el.hasAttribute(name))
+            .map((name) => ({ element: el, message: `role "${getRole(el)}" requires ${name}` }))
+        );
+    },
+  },
+  {
+    id: 'accessible-name',
+    impact: 'critical',
+    check(root) {
+      return all(root, '*')
+        .filter((el) => !FORM_CONTROLS.has(el.tagName)) // See form-label
+        .filter((el) => NEEDS_NAME.has(getRole(el)) && !isHiddenFromAT(el))
+        .filter((el) => !getAccessibleName(el))
+        .map((el) => ({ element: el, message: `${getRole(el)} has no accessible name` }));
+    },
+  },
+  {
+    id: 'form-label',
+    impact: 'critical',
+    check(root) {
+      return all(root, 'input, select, textarea')
+        .filter((el) => getRole(el) && !isHiddenFromAT(el))
+        .filter((el) => !getAccessibleName(el)) // A placeholder is not a label
+        .map((el) => ({ element: el, message: `${getRole(el)} has no label` }));
+    },
+  },
+];
+
+// -------------------------------------------------------------------------------------------
+// 4. RUNNING THE AUDIT
+// -------------------------------------------------------------------------------------------
+
+/**
+ * auditAccessibility(root, { rules, disable })
+ * - root: an element, or a render() result (its baseElement is audited, so
+ *   portalled dialogs, toasts and menus are included)
+ * - disable: rule ids to skip, e.g. while a known issue is being fixed
+ * Returns [{ rule, impact, message, element }] in document order.
+ */
+
+export function auditAccessibility(root, { rules = a11yRules, disable = [] } = {}) {
+  const element = root?.baseElement ?? root;
+  return rules
+    .filter((rule) => !disable.includes(rule.id))
+    .flatMap((rule) =>
+      rule.check(element).map((violation) => ({ rule: rule.id, impact: rule.impact, ...violation }))
+    )
+    .sort((a, b) =>
+      a.element === b.element
+        ? 0
+        : a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+}
+
+// Opening tag with the attributes that help locate it - stable across runs
+const DESCRIBED_ATTRIBUTES = ['id', 'role', 'type', 'name', 'class', 'href'];
+
+function describeElement(el) {
+  const attributes = DESCRIBED_ATTRIBUTES.filter((name) => el.hasAttribute(name))
+    .map((name) => ` ${name}="${el.getAttribute(name)}"`)
+    .join('');
+  return `<${el.tagName.toLowerCase()}${attributes}>`;
+}
+
+/**
+ * Plain-text report, one violation per block:
+ *   accessible-name (critical): button has no accessible name
+ *     <button class="icon-button">
+ */
+export function formatA11yReport(violations) {
+  if (violations.length === 0) return 'No accessibility violations';
+  return violations
+    .map(({ rule, impact, message, element }) =>
+      `${rule} (${impact}): ${message}\n  ${describeElement(element)}`
+    )
+    .join('\n\n');
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. CUSTOM MATCHER
+// -------------------------------------------------------------------------------------------
+
+/**
+ * expect(container | renderResult).toHaveNoA11yViolations(options)
+ * Register once in the test setup file (setupFilesAfterEnv).
+ * options are passed to auditAccessibility.
+ */
+
+expect.extend({
+  toHaveNoA11yViolations(received, options) {
+    const violations = auditAccessibility(received, options);
+    const pass = violations.length === 0;
+
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `${this.utils.matcherHint('.not.toHaveNoA11yViolations', 'received', '')}\n\n` +
+            'Expected accessibility violations, but none were found'
+          : `${this.utils.matcherHint('.toHaveNoA11yViolations', 'received', '')}\n\n` +
+            `Expected no accessibility violations, found ${violations.length}:\n\n` +
+            formatA11yReport(violations),
+    };
+  },
+});
+
+// -------------------------------------------------------------------------------------------
+// 6. USING THE MATCHER
+// -------------------------------------------------------------------------------------------
+
+test('catches common mistakes', () => {
+  const { container } = render(
+    <div>
+      <button className="icon-button">
+        <svg aria-hidden="true" />
+      </button>
+      <input type="email" placeholder="Email" />
+      <div role="tab" aria-pressed="true">Profile</div>
+      <div id="panel" />
+      <div id="panel" />
+    </div>
+  );
+
+  const rules = auditAccessibility(container).map((violation) => violation.rule);
+  expect(rules).toEqual([
+    'accessible-name',
+    'form-label',
+    'aria-allowed-attribute',
+    'duplicate-id',
+  ]);
+});
+
+// The sortable header from useDataTable (slots.jsx): aria-sort belongs on <th>
+test('sortable table headers pass', () => {
+  const result = render(
+    <table>
+      <thead>
+        <tr>
+          <th aria-sort="ascending">
+            <button>Name</button>
+          </th>
+          <th aria-sort="none" aria-colspan="2">
+            <button>Price</button>
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>Desk</td>
+          <td aria-colspan="2">$120</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+
+  expect(result).toHaveNoA11yViolations();
+});
+
+// Works with any render helper - the result goes straight into expect
+test('user management page is accessible', async () => {
+  const result = renderWithProviders(<UserManagementPage />);
+  await screen.findByText('John');
+
+  expect(result).toHaveNoA11yViolations();
+});
+
+// Audit after interactions too: opened menus, dialogs and errors add markup
+test('contact form stays accessible after validation errors', async () => {
+  const user = userEvent.setup();
+  const result = renderWithProviders(<ContactPage />);
+
+  await user.click(screen.getByRole('button', { name: /send/i }));
+  await screen.findByText(/name is required/i);
+
+  expect(result).toHaveNoA11yViolations();
+});
+
+// Regression test for ids: two FAQ items must not share panel ids
+test('disclosures on one page have unique ids', () => {
+  const result = render(
+    <>
+      <FAQ question="Shipping?" answer="3-5 days" />
+      <FAQ question="Returns?" answer="30 days" />
+    </>
+  );
+
+  expect(result).toHaveNoA11yViolations();
+});
+
+// -------------------------------------------------------------------------------------------
+// 7. SNAPSHOT REPORTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * For legacy screens that can't be fixed at once: snapshot the report.
+ * Fixing an issue or adding a new one changes the snapshot, so regressions
+ * show up in review and the backlog only shrinks (update with `-u`).
+ */
+
+test('legacy settings page - known accessibility issues', () => {
+  const result = renderWithProviders(<LegacySettingsPage />);
+
+  expect(formatA11yReport(auditAccessibility(result))).toMatchSnapshot();
+});
+
+// Known issue tracked elsewhere: disable one rule instead of the whole audit
+test('dashboard is accessible apart from the chart legend', () => {
+  const result = renderWithProviders(<Dashboard />);
+
+  expect(result).toHaveNoA11yViolations({ disable: ['aria-valid-role'] });
+});
+
+// -------------------------------------------------------------------------------------------
+// SUMMARY & BEST PRACTICES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * WHAT THE AUDIT CHECKS:
+ * 1. Accessible names for interactive elements and images
+ * 2. Labels for form fields (placeholders don't count)
+ * 3. Duplicate ids and ARIA references to missing ids
+ * 4. Valid roles, and ARIA attributes allowed/required for each role
+ *
+ * BEST PRACTICES:
+ * - Audit the render result, not just the container, to include portals
+ * - Audit again after interactions that add markup (menus, dialogs, errors)
+ * - Snapshot reports for legacy screens so the backlog only shrinks
+ * - Disable single rules for known issues, never the whole audit
+ * - Automated checks find maybe a third of issues: still test with a
+ *   keyboard and a screen reader
+ *
+ * TOOLS:
+ * - jest-axe / vitest-axe (axe-core rules in jsdom)
+ * - @testing-library/jest-dom (toHaveAccessibleName, toHaveAccessibleDescription)
+ * - eslint-plugin-jsx-a11y
+ */
@@ -6,45 +6,21 @@
  * production behavior.
  */
 
-import { render, screen, waitFor, within } from '@testing-library/react';
+import { screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
-import { BrowserRouter } from 'react-router-dom';
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { rest } from 'msw';
 import { setupServer } from 'msw/node';
+import { renderWithProviders } from './testUtils';
 
 // -------------------------------------------------------------------------------------------
 // 1. TEST SETUP
 // -------------------------------------------------------------------------------------------
 
 /**
- * Create wrapper with all providers for integration tests.
+ * renderWithProviders wraps the UI in the app's providers (React Query,
+ * router, auth). It lives in testUtils.jsx so other test files can share it.
  */
 
-function createWrapper() {
-  const queryClient = new QueryClient({
-    defaultOptions: {
-      queries: { retry: false },
-    },
-  });
-
-  return function Wrapper({ children }) {
-    return (
-      <QueryClientProvider client={queryClient}>
-        <BrowserRouter>
-          <AuthProvider>
-            {children}
-          </AuthProvider>
-        </BrowserRouter>
-      </QueryClientProvider>
-    );
-  };
-}
-
-function renderWithProviders(ui, options = {}) {
-  return render(ui, { wrapper: createWrapper(), ...options });
-}
-
 // -------------------------------------------------------------------------------------------
 // 2. MSW FOR API MOCKING
 // -------------------------------------------------------------------------------------------
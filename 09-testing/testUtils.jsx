@@ -0,0 +1,44 @@
+/**
+ * TOPIC: TEST UTILITIES
+ * DESCRIPTION:
+ * Shared render helpers for the testing chapter. Keep this module free of
+ * tests and test hooks: importing a test file from another test file
+ * registers its suites (and its msw server) a second time.
+ */
+
+import { render } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+// -------------------------------------------------------------------------------------------
+// 1. RENDER WITH PROVIDERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Create wrapper with all providers for integration tests.
+ * A fresh QueryClient per render, so cached data never leaks between tests.
+ */
+
+export function createWrapper() {
+  const queryClient = new QueryClient({
+    defaultOptions: {
+      queries: { retry: false },
+    },
+  });
+
+  return function Wrapper({ children }) {
+    return (
+      <QueryClientProvider client={queryClient}>
+        <BrowserRouter>
+          <AuthProvider>
+            {children}
+          </AuthProvider>
+        </BrowserRouter>
+      </QueryClientProvider>
+    );
+  };
+}
+
+export function renderWithProviders(ui, options = {}) {
+  return render(ui, { wrapper: createWrapper(), ...options });
+}
@@ -6,7 +6,10 @@
  * management, keyboard navigation, and screen reader support.
  */
 
-import { useRef, useEffect, useId, useState } from 'react';
+import { useRef, useEffect, useId, useState, useCallback, createContext, useContext } from 'react';
+import { createPortal } from 'react-dom';
+import { useDialog } from './portals';
+import { useRovingFocus, useTabs, useMenu } from '../04-component-patterns/headlessComponents';
 
 // -------------------------------------------------------------------------------------------
 // 1. SEMANTIC HTML
@@ -52,19 +55,18 @@ function GoodButton({ onClick, children }) {
 // 2. ARIA ATTRIBUTES
 // -------------------------------------------------------------------------------------------
 
+// role, aria-modal and the title/description links come from useDialog
 function AccessibleModal({ isOpen, onClose, title, children }) {
-  return (
-    <div
-      role="dialog"
-      aria-modal="true"
-      aria-labelledby="modal-title"
-      aria-describedby="modal-description"
-      hidden={!isOpen}
-    >
-      <h2 id="modal-title">{title}</h2>
-      <div id="modal-description">{children}</div>
+  const dialog = useDialog({ isOpen, onClose });
+  if (!isOpen) return null;
+
+  return createPortal(
+    <div {...dialog.getDialogProps()}>
+      <h2 {...dialog.getTitleProps()}>{title}</h2>
+      <div {...dialog.getDescriptionProps()}>{children}</div>
       <button onClick={onClose} aria-label="Close modal">×</button>
-    </div>
+    </div>,
+    dialog.container
   );
 }
 
@@ -104,129 +106,220 @@ function ExpandableSection({ title, children }) {
 // 3. FOCUS MANAGEMENT
 // -------------------------------------------------------------------------------------------
 
-function FocusableModal({ isOpen, onClose, children }) {
-  const modalRef = useRef(null);
-  const previousActiveElement = useRef(null);
-
-  useEffect(() => {
-    if (isOpen) {
-      // Save current focus
-      previousActiveElement.current = document.activeElement;
-      // Move focus to modal
-      modalRef.current?.focus();
-    } else {
-      // Restore focus when closed
-      previousActiveElement.current?.focus();
-    }
-  }, [isOpen]);
-
+/**
+ * useDialog (portals.jsx) saves the focused element on open, focuses the
+ * dialog, and restores focus to the trigger on close. The rest of the page
+ * is inert meanwhile, so Tab can't wander behind the modal.
+ */
+function FocusableModal({ isOpen, onClose, label, children }) {
+  const dialog = useDialog({ isOpen, onClose });
   if (!isOpen) return null;
 
-  return (
+  return createPortal(
     <div
-      ref={modalRef}
-      role="dialog"
-      tabIndex={-1}
-      aria-modal="true"
+      {...dialog.getDialogProps({
+        'aria-label': label,
+        'aria-labelledby': undefined,
+        'aria-describedby': undefined,
+      })}
     >
       {children}
       <button onClick={onClose}>Close</button>
-    </div>
+    </div>,
+    dialog.container
   );
 }
 
-// Focus trap - keep focus within modal
-function FocusTrap({ children }) {
+/**
+ * useFocusTrap keeps Tab and Shift+Tab inside a container.
+ * - Tabbable elements are re-scanned after DOM mutations (added, removed,
+ *   disabled, hidden), skipping :disabled, inert and invisible elements
+ * - Traps form a stack: only the innermost active trap handles keys/focus,
+ *   and the outer one resumes when it deactivates
+ * - initialFocus: a ref, or false to leave focus alone (default: first tabbable)
+ * - returnFocus: true (element focused before activation), a ref, or false
+ * - clickOutside: 'block' (default) swallows the click, 'allow' lets it through
+ *   and pulls focus back, 'deactivate' calls onClickOutside and lets focus go
+ */
+
+const TABBABLE_SELECTOR =
+  'a[href], area[href], button, input, select, textarea, iframe, summary, [contenteditable], [tabindex]';
+
+function isTabbable(el) {
+  if (el.tabIndex < 0 || el.matches(':disabled') || el.closest('[inert]')) return false;
+  // display: none, visibility: hidden, or inside a hidden ancestor
+  if (el.checkVisibility) return el.checkVisibility({ visibilityProperty: true });
+  return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+}
+
+const trapStack = [];
+
+// Effects run child-first, so when nested traps mount in one commit the
+// inner one arrives first. Order by containment instead: a trap goes below
+// any trap inside its container, otherwise on top.
+function insertTrap(trap) {
+  const index = trapStack.findIndex((other) => trap.container.contains(other.container));
+  if (index === -1) trapStack.push(trap);
+  else trapStack.splice(index, 0, trap);
+}
+
+function useFocusTrap({
+  active = true,
+  initialFocus,
+  returnFocus = true,
+  clickOutside = 'block',
+  onClickOutside,
+} = {}) {
   const containerRef = useRef(null);
+  const optionsRef = useRef({ initialFocus, returnFocus, clickOutside, onClickOutside });
+  useEffect(() => {
+    optionsRef.current = { initialFocus, returnFocus, clickOutside, onClickOutside };
+  });
 
   useEffect(() => {
     const container = containerRef.current;
-    const focusableElements = container.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
+    if (!active || !container) return;
+
+    const trap = { container, releasing: false };
+    const isTop = () => trapStack[trapStack.length - 1] === trap;
+    const previouslyFocused = document.activeElement;
+    let tabbables = null; // Cached until the next mutation
+    let lastFocused = null;
+
+    const getTabbables = () =>
+      (tabbables ??= [...container.querySelectorAll(TABBABLE_SELECTOR)].filter(isTabbable));
+
+    if (!container.hasAttribute('tabindex')) container.tabIndex = -1; // Fallback focus target
+    const focusFirst = () => (getTabbables()[0] ?? container).focus();
+
+    const observer = new MutationObserver(() => {
+      tabbables = null;
+      // The focused element was removed or disabled - focus fell to <body>
+      if (isTop() && !trap.releasing && !container.contains(document.activeElement)) focusFirst();
+    });
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['disabled', 'hidden', 'inert', 'tabindex', 'type', 'style', 'class'],
+    });
 
     const handleKeyDown = (e) => {
-      if (e.key !== 'Tab') return;
-
-      if (e.shiftKey) {
-        if (document.activeElement === firstElement) {
-          e.preventDefault();
-          lastElement.focus();
-        }
-      } else {
-        if (document.activeElement === lastElement) {
-          e.preventDefault();
-          firstElement.focus();
-        }
+      if (e.key !== 'Tab' || !isTop()) return;
+      e.preventDefault();
+
+      const list = getTabbables();
+      if (list.length === 0) {
+        container.focus();
+        return;
       }
+      const index = list.indexOf(document.activeElement);
+      const next = e.shiftKey
+        ? index <= 0 ? list.length - 1 : index - 1
+        : index === -1 || index === list.length - 1 ? 0 : index + 1;
+      list[next].focus();
     };
 
-    container.addEventListener('keydown', handleKeyDown);
-    return () => container.removeEventListener('keydown', handleKeyDown);
-  }, []);
+    const handleFocusIn = (e) => {
+      if (!isTop() || trap.releasing) return;
+      if (container.contains(e.target)) lastFocused = e.target;
+      else if (lastFocused?.isConnected) lastFocused.focus();
+      else focusFirst();
+    };
 
+    const handleOutsidePress = (e) => {
+      if (!isTop() || container.contains(e.target)) return;
+      const { clickOutside, onClickOutside } = optionsRef.current;
+      if (clickOutside === 'block') {
+        e.preventDefault();
+        e.stopPropagation();
+      } else if (clickOutside === 'deactivate' && e.type === 'pointerdown') {
+        trap.releasing = true; // Focus goes where the user clicked
+        onClickOutside?.(e);
+      }
+    };
+
+    insertTrap(trap);
+    // An outer trap mounting around an already active inner one leaves focus there
+    const { initialFocus } = optionsRef.current;
+    if (isTop()) {
+      if (initialFocus?.current) initialFocus.current.focus();
+      else if (initialFocus !== false) focusFirst();
+    }
+
+    document.addEventListener('keydown', handleKeyDown, true);
+    document.addEventListener('focusin', handleFocusIn);
+    document.addEventListener('pointerdown', handleOutsidePress, true);
+    document.addEventListener('click', handleOutsidePress, true);
+
+    return () => {
+      observer.disconnect();
+      document.removeEventListener('keydown', handleKeyDown, true);
+      document.removeEventListener('focusin', handleFocusIn);
+      document.removeEventListener('pointerdown', handleOutsidePress, true);
+      document.removeEventListener('click', handleOutsidePress, true);
+      trapStack.splice(trapStack.indexOf(trap), 1);
+
+      const { returnFocus } = optionsRef.current;
+      const target = returnFocus === true ? previouslyFocused : returnFocus?.current;
+      if (!trap.releasing && target?.isConnected) target.focus();
+    };
+  }, [active]);
+
+  return containerRef;
+}
+
+function FocusTrap({ children, ...options }) {
+  const containerRef = useFocusTrap(options);
   return <div ref={containerRef}>{children}</div>;
 }
 
+// Usage - nested: while the color picker is open only its trap is active;
+// closing it hands Tab back to the drawer and focus back to the swatch button.
+// <SettingsDrawer defaultPickerOpen /> mounts both traps in the same commit;
+// the picker's trap still ends up on top
+function SettingsDrawer({ onClose, defaultPickerOpen = false }) {
+  const [isPickerOpen, setIsPickerOpen] = useState(defaultPickerOpen);
+  const closeButtonRef = useRef(null);
+
+  return (
+    <FocusTrap initialFocus={closeButtonRef} clickOutside="deactivate" onClickOutside={onClose}>
+      <button ref={closeButtonRef} onClick={onClose}>Close</button>
+      <button onClick={() => setIsPickerOpen(true)}>Accent color</button>
+      {isPickerOpen && (
+        <FocusTrap clickOutside="allow">
+          <ColorPicker />
+          <button onClick={() => setIsPickerOpen(false)}>Done</button>
+        </FocusTrap>
+      )}
+    </FocusTrap>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // 4. KEYBOARD NAVIGATION
 // -------------------------------------------------------------------------------------------
 
-function AccessibleTabs({ tabs }) {
-  const [activeIndex, setActiveIndex] = useState(0);
-
-  const handleKeyDown = (e, index) => {
-    let newIndex = index;
-
-    switch (e.key) {
-      case 'ArrowRight':
-        newIndex = (index + 1) % tabs.length;
-        break;
-      case 'ArrowLeft':
-        newIndex = (index - 1 + tabs.length) % tabs.length;
-        break;
-      case 'Home':
-        newIndex = 0;
-        break;
-      case 'End':
-        newIndex = tabs.length - 1;
-        break;
-      default:
-        return;
-    }
+/**
+ * Composite widgets are a single Tab stop with arrow keys inside
+ * (roving tabindex). useRovingFocus handles orientation, wrapping, Home/End,
+ * RTL, disabled items and typeahead, so tabs, toolbars and menus behave alike.
+ */
 
-    e.preventDefault();
-    setActiveIndex(newIndex);
-  };
+function AccessibleTabs({ tabs }) {
+  const { getTabListProps, getTabProps, getPanelProps } = useTabs({ tabs });
 
   return (
     <div>
-      <div role="tablist">
+      <div {...getTabListProps()} aria-label="Sections">
         {tabs.map((tab, index) => (
-          <button
-            key={tab.id}
-            role="tab"
-            id={`tab-${tab.id}`}
-            aria-selected={activeIndex === index}
-            aria-controls={`panel-${tab.id}`}
-            tabIndex={activeIndex === index ? 0 : -1}
-            onClick={() => setActiveIndex(index)}
-            onKeyDown={(e) => handleKeyDown(e, index)}
-          >
+          <button key={tab.id} {...getTabProps(index)}>
             {tab.label}
           </button>
         ))}
       </div>
       {tabs.map((tab, index) => (
-        <div
-          key={tab.id}
-          role="tabpanel"
-          id={`panel-${tab.id}`}
-          aria-labelledby={`tab-${tab.id}`}
-          hidden={activeIndex !== index}
-        >
+        <div key={tab.id} {...getPanelProps(index)}>
           {tab.content}
         </div>
       ))}
@@ -234,6 +327,70 @@ function AccessibleTabs({ tabs }) {
   );
 }
 
+// Toolbar: Tab enters and leaves the whole group; arrows move between controls
+function FormattingToolbar({ formats, onToggle }) {
+  const roving = useRovingFocus({ orientation: 'horizontal' });
+
+  return (
+    <div role="toolbar" aria-label="Formatting" {...roving.getContainerProps()}>
+      {formats.map((format, index) => (
+        <button
+          key={format.id}
+          aria-pressed={format.active}
+          {...roving.getItemProps(index, { disabled: format.disabled, textValue: format.label })}
+          aria-disabled={format.disabled || undefined}
+          onClick={() => !format.disabled && onToggle(format.id)}
+        >
+          {format.icon}
+          <span className="sr-only">{format.label}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Menu bar: each top-level entry is a menu button from useMenu
+function AppMenuBar({ onCommand }) {
+  const roving = useRovingFocus({ orientation: 'horizontal' });
+
+  return (
+    <div role="menubar" aria-label="Application" {...roving.getContainerProps()}>
+      <MenuBarEntry roving={roving} index={0} label="File" onCommand={onCommand} />
+      <MenuBarEntry roving={roving} index={1} label="Edit" onCommand={onCommand} />
+    </div>
+  );
+}
+
+function MenuBarEntry({ roving, index, label, onCommand }) {
+  const menu = useMenu();
+  const commands = ['New', 'Open', 'Save'].map((name) => `${label} ${name}`);
+  const triggerProps = menu.getTriggerProps();
+  const itemProps = roving.getItemProps(index);
+
+  return (
+    <div role="none">
+      <button
+        {...triggerProps}
+        {...itemProps}
+        ref={(el) => {
+          triggerProps.ref.current = el; // Both need the element
+          itemProps.ref(el);
+        }}
+        role="menuitem"
+      >
+        {label}
+      </button>
+      <ul {...menu.getMenuProps()}>
+        {commands.map((command, i) => (
+          <li key={command} {...menu.getItemProps(i, { onSelect: () => onCommand(command) })}>
+            {command}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 // -------------------------------------------------------------------------------------------
 // 5. FORM ACCESSIBILITY
 // -------------------------------------------------------------------------------------------
@@ -290,54 +447,259 @@ function AccessibleForm() {
 // 6. LIVE REGIONS
 // -------------------------------------------------------------------------------------------
 
-function LiveAnnouncements() {
-  const [message, setMessage] = useState('');
+/**
+ * Live regions must already be in the DOM when their text changes, so one
+ * AnnouncerProvider near the root owns a polite and an assertive region and
+ * any component calls useAnnounce():
+ *
+ *   const announce = useAnnounce();
+ *   announce('Item added to cart');
+ *   announce('Connection lost', { politeness: 'assertive' });
+ *
+ * - Messages are queued; each stays long enough to be read before the next
+ *   replaces it. Assertive messages go ahead of polite ones
+ * - The region is emptied before every message, so repeating the same text
+ *   is read again
+ * - The regions are portalled to <body> and marked data-dialog-ignore-inert,
+ *   so announcements still reach screen readers while a dialog is open
+ */
+
+const AnnouncerContext = createContext(null);
 
-  const announce = (text) => {
-    setMessage(text);
-    setTimeout(() => setMessage(''), 1000);
-  };
+const ANNOUNCE_CLEAR_MS = 100;
+const ANNOUNCE_HOLD_MS = 1000;
 
-  return (
-    <div>
-      {/* Polite: Waits for user to finish current task */}
-      <div aria-live="polite" aria-atomic="true" className="sr-only">
-        {message}
-      </div>
+export function AnnouncerProvider({ children }) {
+  const [regions, setRegions] = useState({ polite: '', assertive: '' });
+  const queueRef = useRef([]);
+  const timerRef = useRef(null);
+  const isBusyRef = useRef(false);
 
-      {/* Assertive: Interrupts immediately */}
-      <div aria-live="assertive" className="sr-only">
-        {/* For urgent notifications */}
-      </div>
+  const [container] = useState(() => {
+    const el = document.createElement('div');
+    el.setAttribute('data-dialog-ignore-inert', '');
+    return el;
+  });
 
-      <button onClick={() => announce('Item added to cart')}>
-        Add to Cart
-      </button>
-    </div>
+  useEffect(() => {
+    document.body.appendChild(container);
+    return () => {
+      clearTimeout(timerRef.current);
+      container.remove();
+    };
+  }, [container]);
+
+  const processQueue = useCallback(() => {
+    const next = queueRef.current.shift();
+    setRegions({ polite: '', assertive: '' });
+    if (!next) {
+      isBusyRef.current = false; // Nothing stale left for virtual-cursor users to find
+      return;
+    }
+
+    isBusyRef.current = true;
+    timerRef.current = setTimeout(() => {
+      setRegions((prev) => ({ ...prev, [next.politeness]: next.message }));
+      timerRef.current = setTimeout(processQueue, ANNOUNCE_HOLD_MS);
+    }, ANNOUNCE_CLEAR_MS);
+  }, []);
+
+  const announce = useCallback((message, { politeness = 'polite' } = {}) => {
+    if (!message) return;
+    const queue = queueRef.current;
+    const item = { message, politeness };
+
+    if (politeness === 'assertive') {
+      const firstPolite = queue.findIndex((queued) => queued.politeness !== 'assertive');
+      queue.splice(firstPolite === -1 ? queue.length : firstPolite, 0, item);
+    } else {
+      queue.push(item);
+    }
+
+    if (!isBusyRef.current) processQueue();
+  }, [processQueue]);
+
+  return (
+    <AnnouncerContext.Provider value={announce}>
+      {children}
+      {createPortal(
+        <>
+          <div aria-live="polite" aria-atomic="true" className="sr-only">
+            {regions.polite}
+          </div>
+          <div aria-live="assertive" aria-atomic="true" className="sr-only">
+            {regions.assertive}
+          </div>
+        </>,
+        container
+      )}
+    </AnnouncerContext.Provider>
   );
 }
 
+export function useAnnounce() {
+  const context = useContext(AnnouncerContext);
+  if (!context) {
+    throw new Error('useAnnounce must be used within AnnouncerProvider');
+  }
+  return context;
+}
+
+// Usage - pressing the button twice announces twice
+function AddToCartButton({ product, onAdd }) {
+  const announce = useAnnounce();
+
+  const handleClick = async () => {
+    try {
+      await onAdd(product);
+      announce(`${product.name} added to cart`);
+    } catch {
+      announce(`Couldn't add ${product.name}`, { politeness: 'assertive' });
+    }
+  };
+
+  return <button onClick={handleClick}>Add to Cart</button>;
+}
+
 // -------------------------------------------------------------------------------------------
-// 7. SKIP LINKS
+// 7. SKIP LINKS & LANDMARKS
 // -------------------------------------------------------------------------------------------
 
-function SkipLinks() {
+/**
+ * Screen reader users jump between landmarks (banner, navigation, main,
+ * search, complementary); keyboard users need skip links to do the same.
+ * Regions register themselves with LandmarkProvider, and SkipLinks is built
+ * from that registry - so it never links to a region that isn't rendered.
+ * - <Landmark role="navigation" label="Primary"> renders <nav>; roles without
+ *   a native element (search) get a div with the role
+ * - Label landmarks when a role appears twice (two navs)
+ * - skipLink={false} keeps a region out of the skip-link menu
+ * - Targets get tabIndex -1 so focus actually moves, not just the scroll
+ */
+
+const LandmarkContext = createContext(null);
+
+const LANDMARK_ELEMENTS = {
+  banner: 'header',
+  navigation: 'nav',
+  main: 'main',
+  complementary: 'aside',
+  contentinfo: 'footer',
+  region: 'section',
+};
+
+const LANDMARK_NAMES = {
+  banner: 'header',
+  navigation: 'navigation',
+  main: 'main content',
+  search: 'search',
+  complementary: 'sidebar',
+  contentinfo: 'footer',
+};
+
+const byDocumentPosition = (a, b) =>
+  a.ref.current.compareDocumentPosition(b.ref.current) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+
+export function LandmarkProvider({ children }) {
+  const [landmarks, setLandmarks] = useState([]);
+
+  const register = useCallback((landmark) => {
+    setLandmarks((prev) =>
+      [...prev.filter((l) => l.id !== landmark.id), landmark].sort(byDocumentPosition)
+    );
+    return () => setLandmarks((prev) => prev.filter((l) => l.id !== landmark.id));
+  }, []);
+
+  const focusLandmark = useCallback((idOrRole) => {
+    const landmark = landmarks.find((l) => l.id === idOrRole || l.role === idOrRole);
+    landmark?.ref.current?.focus();
+  }, [landmarks]);
+
   return (
-    <a href="#main-content" className="skip-link">
-      Skip to main content
-    </a>
+    <LandmarkContext.Provider value={{ landmarks, register, focusLandmark }}>
+      {children}
+    </LandmarkContext.Provider>
+  );
+}
+
+export function useLandmarks() {
+  const context = useContext(LandmarkContext);
+  if (!context) {
+    throw new Error('useLandmarks must be used within LandmarkProvider');
+  }
+  return context;
+}
+
+// Props for any element that should act as a landmark
+export function useLandmark({ role, label, skipLink = true }) {
+  const { register } = useLandmarks();
+  const id = useId();
+  const ref = useRef(null);
+
+  useEffect(
+    () => register({ id, role, label, skipLink, ref }),
+    [register, id, role, label, skipLink]
+  );
+
+  return { ref, id, tabIndex: -1, 'aria-label': label };
+}
+
+export function Landmark({ role, label, skipLink, as, children, ...props }) {
+  const landmarkProps = useLandmark({ role, label, skipLink });
+  const Component = as ?? LANDMARK_ELEMENTS[role] ?? 'div';
+  const isNative = LANDMARK_ELEMENTS[role] === Component;
+
+  return (
+    <Component {...props} {...landmarkProps} role={isNative ? undefined : role}>
+      {children}
+    </Component>
+  );
+}
+
+// Main content first, then the page's own order. Visible only on focus (CSS)
+export function SkipLinks() {
+  const { landmarks, focusLandmark } = useLandmarks();
+  const targets = landmarks
+    .filter((l) => l.skipLink)
+    .sort((a, b) => (b.role === 'main') - (a.role === 'main'));
+
+  if (targets.length === 0) return null;
+
+  return (
+    <nav aria-label="Skip links" className="skip-links">
+      <ul>
+        {targets.map((landmark) => (
+          <li key={landmark.id}>
+            <a
+              href={`#${landmark.id}`}
+              className="skip-link"
+              onClick={(e) => {
+                e.preventDefault(); // Keep the URL; the router may own the hash
+                focusLandmark(landmark.id);
+              }}
+            >
+              Skip to {landmark.label ?? LANDMARK_NAMES[landmark.role] ?? landmark.role}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
   );
 }
 
 function Layout({ children }) {
   return (
-    <>
+    <LandmarkProvider>
       <SkipLinks />
-      <header>Navigation</header>
-      <main id="main-content" tabIndex={-1}>
-        {children}
-      </main>
-    </>
+      <Landmark role="banner" skipLink={false}>
+        <Landmark role="navigation" label="Primary">Navigation</Landmark>
+        <Landmark role="search" as="form">
+          <input type="search" aria-label="Search site" />
+        </Landmark>
+      </Landmark>
+      <Landmark role="main">{children}</Landmark>
+      <Landmark role="complementary" label="Related articles" />
+    </LandmarkProvider>
   );
 }
 
@@ -383,8 +745,11 @@ function SearchResults({ count }) {
  * - Add ARIA only when necessary
  * - Test with keyboard only
  * - Test with screen readers
- * - Use focus management in modals
- * - Provide skip links
+ * - Use focus management in modals (one shared useDialog, not one per modal)
+ * - Re-scan focusable elements when the DOM changes; never cache them once
+ * - One Tab stop per composite widget; arrow keys move inside it
+ * - Announce through one app-wide live region queue, not ad-hoc regions
+ * - Provide skip links to every landmark, built from what's rendered
  *
  * TOOLS:
  * - axe DevTools
@@ -7,7 +7,18 @@
  */
 
 import { createPortal } from 'react-dom';
-import { useState, useEffect, useRef } from 'react';
+import {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useCallback,
+  useMemo,
+  useId,
+  createContext,
+  useContext,
+  useSyncExternalStore,
+} from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. BASIC PORTAL
@@ -38,17 +49,12 @@ function App() {
 // 2. MODAL WITH PORTAL
 // -------------------------------------------------------------------------------------------
 
-function Modal({ isOpen, onClose, children }) {
-  if (!isOpen) return null;
-
-  return createPortal(
-    <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-        <button className="close-button" onClick={onClose}>×</button>
-        {children}
-      </div>
-    </div>,
-    document.body
+// Scroll lock, Escape and focus handling come from the dialog stack (section 9)
+function Modal({ isOpen, onClose, title, children }) {
+  return (
+    <Dialog isOpen={isOpen} onClose={onClose} title={title}>
+      {children}
+    </Dialog>
   );
 }
 
@@ -58,8 +64,7 @@ function App() {
   return (
     <div>
       <button onClick={() => setIsModalOpen(true)}>Open Modal</button>
-      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
-        <h2>Modal Title</h2>
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title="Modal Title">
         <p>Modal content here</p>
       </Modal>
     </div>
@@ -82,45 +87,295 @@ function DynamicPortal({ children }) {
 }
 
 // -------------------------------------------------------------------------------------------
-// 4. TOOLTIP WITH PORTAL
+// 4. POSITIONING FLOATING ELEMENTS
 // -------------------------------------------------------------------------------------------
 
-function Tooltip({ children, content }) {
-  const [isVisible, setIsVisible] = useState(false);
-  const [position, setPosition] = useState({ x: 0, y: 0 });
-  const targetRef = useRef(null);
+/**
+ * A rect measured once goes stale as soon as anything scrolls or resizes.
+ * usePopover(anchorRef, { isOpen, placement, offset, flip, shift, padding, arrow })
+ * keeps a position: fixed element attached to its anchor:
+ * - placement: 'top' | 'bottom' | 'left' | 'right', optionally '-start' / '-end'
+ * - flip: use the opposite side when it overflows less
+ * - shift: slide along the anchor to stay inside the boundary
+ * - The boundary is the viewport intersected with every scrolling ancestor
+ *   of the anchor; if the anchor is scrolled out of it, the popover hides
+ * - arrow: a ref to an arrow element, kept pointing at the anchor's center
+ * - Recomputes on any scroll (capture phase catches nested containers),
+ *   window resize, and size changes of the anchor or the popover itself
+ */
+
+const OPPOSITE_SIDE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+function getClippingRect(element) {
+  let rect = { top: 0, left: 0, right: window.innerWidth, bottom: window.innerHeight };
+  for (let el = element.parentElement; el && el !== document.body; el = el.parentElement) {
+    const { overflow, overflowX, overflowY } = getComputedStyle(el);
+    if (/auto|scroll|hidden|clip/.test(overflow + overflowX + overflowY)) {
+      const r = el.getBoundingClientRect();
+      rect = {
+        top: Math.max(rect.top, r.top),
+        left: Math.max(rect.left, r.left),
+        right: Math.min(rect.right, r.right),
+        bottom: Math.min(rect.bottom, r.bottom),
+      };
+    }
+  }
+  return rect;
+}
+
+function computeCoords(anchor, size, side, align, offset) {
+  if (side === 'top' || side === 'bottom') {
+    const x =
+      align === 'start' ? anchor.left
+        : align === 'end' ? anchor.right - size.width
+          : anchor.left + anchor.width / 2 - size.width / 2;
+    return { x, y: side === 'top' ? anchor.top - size.height - offset : anchor.bottom + offset };
+  }
+  const y =
+    align === 'start' ? anchor.top
+      : align === 'end' ? anchor.bottom - size.height
+        : anchor.top + anchor.height / 2 - size.height / 2;
+  return { x: side === 'left' ? anchor.left - size.width - offset : anchor.right + offset, y };
+}
+
+// How far past the boundary the popover sticks out on its main side (> 0 = overflowing)
+function sideOverflow(side, { x, y }, size, bounds) {
+  if (side === 'top') return bounds.top - y;
+  if (side === 'bottom') return y + size.height - bounds.bottom;
+  if (side === 'left') return bounds.left - x;
+  return x + size.width - bounds.right;
+}
+
+function usePopover(
+  anchorRef,
+  { isOpen = true, placement = 'bottom', offset = 8, flip = true, shift = true, padding = 8, arrow } = {}
+) {
+  const floatingRef = useRef(null);
+  const [position, setPosition] = useState(null);
+
+  const update = useCallback(() => {
+    const anchorEl = anchorRef.current;
+    const floatingEl = floatingRef.current;
+    if (!anchorEl || !floatingEl) return;
+
+    const anchor = anchorEl.getBoundingClientRect();
+    const size = { width: floatingEl.offsetWidth, height: floatingEl.offsetHeight };
+    const clip = getClippingRect(anchorEl);
+    const bounds = {
+      top: clip.top + padding,
+      left: clip.left + padding,
+      right: clip.right - padding,
+      bottom: clip.bottom - padding,
+    };
+
+    let [side, align = 'center'] = placement.split('-');
+    let coords = computeCoords(anchor, size, side, align, offset);
+
+    if (flip) {
+      const overflow = sideOverflow(side, coords, size, bounds);
+      const flippedSide = OPPOSITE_SIDE[side];
+      const flipped = computeCoords(anchor, size, flippedSide, align, offset);
+      if (overflow > 0 && sideOverflow(flippedSide, flipped, size, bounds) < overflow) {
+        side = flippedSide;
+        coords = flipped;
+      }
+    }
+
+    const isVertical = side === 'top' || side === 'bottom';
+    if (shift) {
+      if (isVertical) coords.x = clamp(coords.x, bounds.left, bounds.right - size.width);
+      else coords.y = clamp(coords.y, bounds.top, bounds.bottom - size.height);
+    }
+
+    let arrowStyles = null;
+    if (arrow?.current) {
+      const arrowSize = isVertical ? arrow.current.offsetWidth : arrow.current.offsetHeight;
+      const edge = 4; // Keep clear of rounded corners
+      arrowStyles = isVertical
+        ? {
+            left: clamp(anchor.left + anchor.width / 2 - coords.x - arrowSize / 2, edge, size.width - arrowSize - edge),
+            [OPPOSITE_SIDE[side]]: -arrowSize / 2,
+          }
+        : {
+            top: clamp(anchor.top + anchor.height / 2 - coords.y - arrowSize / 2, edge, size.height - arrowSize - edge),
+            [OPPOSITE_SIDE[side]]: -arrowSize / 2,
+          };
+      arrowStyles.position = 'absolute';
+    }
 
-  const showTooltip = () => {
-    const rect = targetRef.current.getBoundingClientRect();
     setPosition({
-      x: rect.left + rect.width / 2,
-      y: rect.top - 10,
+      x: Math.round(coords.x),
+      y: Math.round(coords.y),
+      placement: align === 'center' ? side : `${side}-${align}`,
+      arrowStyles,
+      isAnchorHidden:
+        anchor.bottom < clip.top || anchor.top > clip.bottom ||
+        anchor.right < clip.left || anchor.left > clip.right,
     });
-    setIsVisible(true);
+  }, [anchorRef, placement, offset, flip, shift, padding, arrow]);
+
+  // Layout effect: positioned before the first paint, no flash at 0,0
+  useLayoutEffect(() => {
+    if (!isOpen) {
+      setPosition(null);
+      return;
+    }
+    update();
+
+    let frame = null;
+    const scheduleUpdate = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        update();
+      });
+    };
+
+    window.addEventListener('scroll', scheduleUpdate, true);
+    window.addEventListener('resize', scheduleUpdate);
+    const observer = new ResizeObserver(scheduleUpdate);
+    if (anchorRef.current) observer.observe(anchorRef.current);
+    if (floatingRef.current) observer.observe(floatingRef.current);
+
+    return () => {
+      window.removeEventListener('scroll', scheduleUpdate, true);
+      window.removeEventListener('resize', scheduleUpdate);
+      observer.disconnect();
+      cancelAnimationFrame(frame);
+    };
+  }, [isOpen, update, anchorRef]);
+
+  return {
+    floatingRef,
+    update,
+    placement: position?.placement ?? placement,
+    floatingStyles: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      transform: position ? `translate(${position.x}px, ${position.y}px)` : undefined,
+      visibility: position && !position.isAnchorHidden ? 'visible' : 'hidden',
+    },
+    arrowStyles: position?.arrowStyles ?? undefined,
+  };
+}
+
+/**
+ * Tooltip timing: open after the pointer rests (openDelay), close after it
+ * leaves (closeDelay) - moving onto the tooltip cancels the close, so its
+ * content can be hovered. Focus opens immediately; touch opens on long-press;
+ * Escape closes without moving the pointer.
+ */
+function useHoverIntent({ openDelay = 400, closeDelay = 150, longPressDelay = 500 } = {}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const timerRef = useRef(null);
+  const isTouchRef = useRef(false);
+
+  const cancel = () => clearTimeout(timerRef.current);
+  const schedule = (open, delay) => {
+    cancel();
+    timerRef.current = setTimeout(() => setIsOpen(open), delay);
+  };
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    // Capture phase + preventDefault: an enclosing dialog keeps its Escape
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      setIsOpen(false);
+    };
+    // A long-pressed tooltip closes on the next tap anywhere
+    const handlePointerDown = (e) => {
+      if (e.pointerType === 'touch') setIsOpen(false);
+    };
+
+    document.addEventListener('keydown', handleKeyDown, true);
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown, true);
+      document.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, [isOpen]);
+
+  return {
+    isOpen,
+    setIsOpen,
+    getAnchorProps: () => ({
+      onPointerEnter: (e) => {
+        if (e.pointerType === 'mouse') schedule(true, openDelay);
+      },
+      onPointerLeave: (e) => {
+        if (e.pointerType === 'mouse') schedule(false, closeDelay);
+      },
+      onPointerDown: (e) => {
+        isTouchRef.current = e.pointerType === 'touch';
+        if (isTouchRef.current) schedule(true, longPressDelay);
+      },
+      // Released (or started scrolling) before the long-press fired
+      onPointerUp: (e) => {
+        if (e.pointerType === 'touch' && !isOpen) cancel();
+      },
+      onPointerCancel: cancel,
+      // The long-press would also open the OS context menu
+      onContextMenu: (e) => {
+        if (isTouchRef.current) e.preventDefault();
+      },
+      onFocus: () => {
+        cancel();
+        setIsOpen(true);
+      },
+      onBlur: () => {
+        cancel();
+        setIsOpen(false);
+      },
+    }),
+    getFloatingProps: () => ({
+      onPointerEnter: cancel,
+      onPointerLeave: (e) => {
+        if (e.pointerType === 'mouse') schedule(false, closeDelay);
+      },
+    }),
   };
+}
 
-  const hideTooltip = () => setIsVisible(false);
+// -------------------------------------------------------------------------------------------
+// 5. TOOLTIP WITH PORTAL
+// -------------------------------------------------------------------------------------------
+
+function Tooltip({ children, content, placement = 'top' }) {
+  const anchorRef = useRef(null);
+  const arrowRef = useRef(null);
+  const tooltipId = useId();
+  const { isOpen, getAnchorProps, getFloatingProps } = useHoverIntent();
+  const popover = usePopover(anchorRef, { isOpen, placement, arrow: arrowRef });
 
   return (
     <>
       <span
-        ref={targetRef}
-        onMouseEnter={showTooltip}
-        onMouseLeave={hideTooltip}
+        ref={anchorRef}
+        aria-describedby={isOpen ? tooltipId : undefined}
+        {...getAnchorProps()}
       >
         {children}
       </span>
-      {isVisible && createPortal(
+      {isOpen && createPortal(
         <div
+          ref={popover.floatingRef}
+          id={tooltipId}
+          role="tooltip"
           className="tooltip"
-          style={{
-            position: 'fixed',
-            left: position.x,
-            top: position.y,
-            transform: 'translate(-50%, -100%)',
-          }}
+          data-placement={popover.placement} // Style the arrow per side
+          style={popover.floatingStyles}
+          {...getFloatingProps()}
         >
           {content}
+          <div ref={arrowRef} className="tooltip-arrow" style={popover.arrowStyles} />
         </div>,
         document.body
       )}
@@ -129,34 +384,40 @@ function Tooltip({ children, content }) {
 }
 
 // -------------------------------------------------------------------------------------------
-// 5. DROPDOWN WITH PORTAL
+// 6. DROPDOWN WITH PORTAL
 // -------------------------------------------------------------------------------------------
 
 function Dropdown({ trigger, children }) {
   const [isOpen, setIsOpen] = useState(false);
-  const [position, setPosition] = useState({ top: 0, left: 0 });
   const triggerRef = useRef(null);
+  const { floatingRef, floatingStyles } = usePopover(triggerRef, {
+    isOpen,
+    placement: 'bottom-start',
+    offset: 4,
+  });
 
   useEffect(() => {
-    if (isOpen && triggerRef.current) {
-      const rect = triggerRef.current.getBoundingClientRect();
-      setPosition({
-        top: rect.bottom + window.scrollY,
-        left: rect.left + window.scrollX,
-      });
-    }
-  }, [isOpen]);
+    if (!isOpen) return;
 
-  useEffect(() => {
+    // The menu is portalled, so "outside" means outside both elements
     const handleClickOutside = (e) => {
-      if (isOpen && !triggerRef.current?.contains(e.target)) {
+      if (!triggerRef.current?.contains(e.target) && !floatingRef.current?.contains(e.target)) {
         setIsOpen(false);
       }
     };
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault(); // Close the menu, not an enclosing dialog
+      setIsOpen(false);
+    };
 
     document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, [isOpen]);
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [isOpen, floatingRef]);
 
   return (
     <>
@@ -164,14 +425,7 @@ function Dropdown({ trigger, children }) {
         {trigger}
       </div>
       {isOpen && createPortal(
-        <div
-          className="dropdown-menu"
-          style={{
-            position: 'absolute',
-            top: position.top,
-            left: position.left,
-          }}
-        >
+        <div ref={floatingRef} className="dropdown-menu" style={floatingStyles}>
           {children}
         </div>,
         document.body
@@ -181,7 +435,7 @@ function Dropdown({ trigger, children }) {
 }
 
 // -------------------------------------------------------------------------------------------
-// 6. EVENT BUBBLING
+// 7. EVENT BUBBLING
 // -------------------------------------------------------------------------------------------
 
 /**
@@ -204,61 +458,288 @@ function Parent() {
 }
 
 // -------------------------------------------------------------------------------------------
-// 7. ACCESSIBILITY WITH PORTALS
+// 8. ACCESSIBILITY WITH PORTALS
 // -------------------------------------------------------------------------------------------
 
+/**
+ * A modal needs focus moved in and back out, Escape, scroll lock, aria-modal
+ * and a labelled title - and it has to cooperate with other open modals.
+ * That's the Dialog from section 9; AccessibleModal is just its API.
+ */
+
 function AccessibleModal({ isOpen, onClose, title, children }) {
-  const modalRef = useRef(null);
-  const previousActiveElement = useRef(null);
+  return (
+    <Dialog isOpen={isOpen} onClose={onClose} title={title}>
+      {children}
+    </Dialog>
+  );
+}
 
-  useEffect(() => {
-    if (isOpen) {
-      previousActiveElement.current = document.activeElement;
-      modalRef.current?.focus();
-    } else {
-      previousActiveElement.current?.focus();
+// -------------------------------------------------------------------------------------------
+// 9. DIALOG STACK
+// -------------------------------------------------------------------------------------------
+
+/**
+ * One implementation for every modal in the app. A dialog stack keeps the
+ * open dialogs; useDialog registers one of them.
+ * - Escape closes only the top dialog (one document listener, not one per dialog)
+ * - Body scroll is locked while any dialog is open; the scrollbar's width is
+ *   added as padding so the page doesn't shift sideways
+ * - Everything outside the top dialog is inert: no clicks, no focus, hidden
+ *   from screen readers. Mark a body child data-dialog-ignore-inert to opt out
+ * - Focus moves into the dialog and returns to the trigger on close
+ * - confirm({ title, body }) opens a dialog from code and resolves true/false
+ *   (useConfirm needs DialogProvider; everything else works without one)
+ */
+
+const DialogContext = createContext(null);
+
+function lockBodyScroll() {
+  const { body, documentElement } = document;
+  const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+  const previous = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+  const paddingRight = parseFloat(getComputedStyle(body).paddingRight) || 0;
+
+  body.style.overflow = 'hidden';
+  if (scrollbarWidth > 0) body.style.paddingRight = `${paddingRight + scrollbarWidth}px`;
+
+  return () => Object.assign(body.style, previous);
+}
+
+// Returns a function that undoes exactly what it changed
+function makeSiblingsInert(keep) {
+  const changed = [...document.body.children].filter(
+    (el) => el !== keep && !el.inert && !el.hasAttribute('data-dialog-ignore-inert')
+  );
+  changed.forEach((el) => (el.inert = true));
+  return () => changed.forEach((el) => (el.inert = false));
+}
+
+/**
+ * The stack itself is a small external store, so it works with or without
+ * React context: DialogProvider owns one, and dialogs rendered outside any
+ * provider share a module-level one. Only useConfirm needs the provider,
+ * because the provider renders the confirm dialogs.
+ */
+function createDialogStack() {
+  let stack = []; // [{ id, container, closeRef }] - top is last
+  const listeners = new Set();
+  let unlockScroll = null;
+  let restoreInert = null;
+
+  const handleKeyDown = (e) => {
+    const current = stack[stack.length - 1];
+    // Widgets inside the dialog (an open combobox) preventDefault to keep it
+    if (e.key !== 'Escape' || e.defaultPrevented || !current) return;
+    current.closeRef.current?.();
+  };
+
+  const update = (next) => {
+    stack = next;
+    restoreInert?.();
+    restoreInert = null;
+
+    if (stack.length > 0 && !unlockScroll) {
+      unlockScroll = lockBodyScroll();
+      document.addEventListener('keydown', handleKeyDown);
+    } else if (stack.length === 0 && unlockScroll) {
+      unlockScroll();
+      unlockScroll = null;
+      document.removeEventListener('keydown', handleKeyDown);
     }
-  }, [isOpen]);
 
+    const top = stack[stack.length - 1];
+    if (top) restoreInert = makeSiblingsInert(top.container);
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    register: (entry) => update([...stack, entry]),
+    unregister: (id) => update(stack.filter((e) => e.id !== id)),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getTopId: () => stack[stack.length - 1]?.id,
+  };
+}
+
+const fallbackDialogStack = createDialogStack();
+let confirmCounter = 0; // crypto.randomUUID needs a secure context
+
+export function DialogProvider({ children }) {
+  const [dialogStack] = useState(createDialogStack);
+  const [confirmRequests, setConfirmRequests] = useState([]);
+
+  const confirm = useCallback(
+    (options) =>
+      new Promise((resolve) => {
+        const id = `confirm-${++confirmCounter}`;
+        const settle = (result) => {
+          setConfirmRequests((prev) => prev.filter((request) => request.id !== id));
+          resolve(result);
+        };
+        setConfirmRequests((prev) => [...prev, { id, options, settle }]);
+      }),
+    []
+  );
+
+  const value = useMemo(() => ({ dialogStack, confirm }), [dialogStack, confirm]);
+
+  return (
+    <DialogContext.Provider value={value}>
+      {children}
+      {confirmRequests.map(({ id, options, settle }) => (
+        <ConfirmDialog key={id} {...options} onSettle={settle} />
+      ))}
+    </DialogContext.Provider>
+  );
+}
+
+export function useDialog({ isOpen, onClose, initialFocusRef, role = 'dialog' }) {
+  const dialogStack = useContext(DialogContext)?.dialogStack ?? fallbackDialogStack;
+  const { register, unregister } = dialogStack;
+  const topId = useSyncExternalStore(dialogStack.subscribe, dialogStack.getTopId, () => undefined);
+  const id = useId();
+  const dialogRef = useRef(null);
+  const [container] = useState(() => document.createElement('div'));
+
+  const closeRef = useRef(onClose);
   useEffect(() => {
-    const handleEscape = (e) => {
-      if (e.key === 'Escape') onClose();
-    };
+    closeRef.current = onClose;
+  });
 
-    if (isOpen) {
-      document.addEventListener('keydown', handleEscape);
-      document.body.style.overflow = 'hidden';
-    }
+  // Layout effect: the container is in the page and focused before paint
+  useLayoutEffect(() => {
+    if (!isOpen) return;
+
+    const trigger = document.activeElement;
+    document.body.appendChild(container);
+    register({ id, container, closeRef });
+    (initialFocusRef?.current ?? dialogRef.current)?.focus();
 
     return () => {
-      document.removeEventListener('keydown', handleEscape);
-      document.body.style.overflow = '';
+      unregister(id);
+      container.remove();
+      // unregister already lifted inert from the trigger's side of the page.
+      // The trigger may be gone (e.g. a deleted row's menu button).
+      if (trigger?.isConnected) trigger.focus();
     };
-  }, [isOpen, onClose]);
+  }, [isOpen, id, container, register, unregister]);
+
+  const isTopmost = topId === id;
+
+  return {
+    isTopmost,
+    container,
+    getOverlayProps: () => ({
+      // Only a press that starts and ends on the backdrop closes
+      onMouseDown: (e) => {
+        if (e.target === e.currentTarget && isTopmost) closeRef.current?.();
+      },
+    }),
+    // Pass { 'aria-label': ..., 'aria-labelledby': undefined } for untitled dialogs
+    getDialogProps: (props) => ({
+      ref: dialogRef,
+      role,
+      tabIndex: -1,
+      'aria-modal': true,
+      'aria-labelledby': `${id}-title`,
+      'aria-describedby': `${id}-description`,
+      ...props,
+    }),
+    getTitleProps: () => ({ id: `${id}-title` }),
+    getDescriptionProps: () => ({ id: `${id}-description` }),
+  };
+}
 
+export function Dialog({ isOpen, onClose, title, children, initialFocusRef, role }) {
+  const dialog = useDialog({ isOpen, onClose, initialFocusRef, role });
   if (!isOpen) return null;
 
   return createPortal(
-    <div
-      className="modal-overlay"
-      role="dialog"
-      aria-modal="true"
-      aria-labelledby="modal-title"
-    >
-      <div
-        ref={modalRef}
-        className="modal-content"
-        tabIndex={-1}
-      >
-        <h2 id="modal-title">{title}</h2>
-        {children}
-        <button onClick={onClose}>Close</button>
+    <div className="modal-overlay" {...dialog.getOverlayProps()}>
+      <div className="modal-content" {...dialog.getDialogProps()}>
+        <h2 {...dialog.getTitleProps()}>{title}</h2>
+        <div {...dialog.getDescriptionProps()}>{children}</div>
+        <button className="close-button" aria-label="Close" onClick={onClose}>×</button>
       </div>
     </div>,
-    document.body
+    dialog.container
+  );
+}
+
+// Cancel gets initial focus - the least destructive choice
+function ConfirmDialog({ title, body, confirmLabel = 'OK', cancelLabel = 'Cancel', onSettle }) {
+  const cancelRef = useRef(null);
+
+  return (
+    <Dialog
+      isOpen
+      role="alertdialog"
+      title={title}
+      onClose={() => onSettle(false)}
+      initialFocusRef={cancelRef}
+    >
+      {body}
+      <div className="modal-actions">
+        <button ref={cancelRef} onClick={() => onSettle(false)}>{cancelLabel}</button>
+        <button onClick={() => onSettle(true)}>{confirmLabel}</button>
+      </div>
+    </Dialog>
+  );
+}
+
+export function useConfirm() {
+  const context = useContext(DialogContext);
+  if (!context) throw new Error('useConfirm must be used within DialogProvider');
+  return context.confirm;
+}
+
+// Usage - wrap the app once for useConfirm and a per-app stack
+function Root() {
+  return (
+    <DialogProvider>
+      <App />
+    </DialogProvider>
+  );
+}
+
+// Usage - nested: Escape closes the settings dialog, then the profile one
+function ProfileEditor({ user }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+  return (
+    <>
+      <button onClick={() => setIsEditing(true)}>Edit profile</button>
+      <Dialog isOpen={isEditing} onClose={() => setIsEditing(false)} title="Edit profile">
+        <ProfileForm user={user} />
+        <button onClick={() => setIsSettingsOpen(true)}>Privacy settings</button>
+        <Dialog isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} title="Privacy">
+          <PrivacySettings />
+        </Dialog>
+      </Dialog>
+    </>
   );
 }
 
+// Usage - ask from an event handler
+function DeleteProjectButton({ project, onDelete }) {
+  const confirm = useConfirm();
+
+  const handleClick = async () => {
+    const confirmed = await confirm({
+      title: `Delete ${project.name}?`,
+      body: 'This permanently deletes the project and its files.',
+      confirmLabel: 'Delete',
+    });
+    if (confirmed) onDelete(project.id);
+  };
+
+  return <button onClick={handleClick}>Delete</button>;
+}
+
 // -------------------------------------------------------------------------------------------
 // SUMMARY & BEST PRACTICES
 // -------------------------------------------------------------------------------------------
@@ -280,6 +761,8 @@ function AccessibleModal({ isOpen, onClose, title, children }) {
  * BEST PRACTICES:
  * - Clean up portal container on unmount
  * - Handle accessibility (focus, escape)
- * - Position relative to viewport or trigger
- * - Prevent body scroll when modal is open
+ * - Position relative to the trigger, and keep updating it (usePopover)
+ * - Let tooltips be hovered, focused, long-pressed and dismissed with Escape
+ * - Prevent body scroll when modal is open (and pad for the lost scrollbar)
+ * - Keep one stack of dialogs so Escape and inert apply to the top one only
  */
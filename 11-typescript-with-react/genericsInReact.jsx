@@ -5,7 +5,7 @@
  * that work with different data types while maintaining full type inference.
  */
 
-import { useState, useCallback, ReactNode } from 'react';
+import { useState, useMemo, ReactNode } from 'react';
 
 // -------------------------------------------------------------------------------------------
 // 1. GENERIC COMPONENTS
@@ -119,42 +119,171 @@ function CountrySelector() {
 // 3. GENERIC TABLE COMPONENT
 // -------------------------------------------------------------------------------------------
 
+/**
+ * Sorting, filtering, pagination, selection, column visibility/order and
+ * grouping come from the headless useDataTable in
+ * 04-component-patterns/slots.jsx. The typed wrapper maps Column<T>
+ * (keyed by keyof T) onto its field-based columns.
+ */
+
+import { useDataTable as useHeadlessDataTable } from '../04-component-patterns/slots';
+
 interface Column<T> {
   key: keyof T;
   header: string;
   render?: (value: T[keyof T], item: T) => ReactNode;
+  sortable?: boolean;
+  sortFn?: (a: T[keyof T], b: T[keyof T]) => number;
+  filter?: 'text' | 'select' | 'range' | ((value: T[keyof T], filterValue: any, item: T) => boolean);
+  aggregate?: 'sum' | 'avg' | 'min' | 'max' | 'count' | ((values: T[keyof T][], items: T[]) => ReactNode);
+  hideable?: boolean;
+  exportable?: boolean;
 }
 
-interface TableProps<T> {
+// Column<T> as the headless hook sees it
+interface ResolvedColumn<T> extends Omit<Column<T>, 'render'> {
+  field: string;
+  accessor: (item: T) => T[keyof T];
+  render?: (item: T) => ReactNode;
+}
+
+interface DataTableState {
+  sorting: { field: string; desc: boolean }[];
+  filters: Record<string, unknown>;
+  globalFilter: string;
+  pageIndex: number;
+  pageSize: number;
+  selection: Record<string, true>;
+  hiddenColumns: Record<string, boolean>;
+  columnOrder: string[];
+  grouping: string[];
+  expanded: Record<string, boolean>;
+}
+
+type DataTableQuery = Pick<DataTableState, 'sorting' | 'filters' | 'globalFilter' | 'pageIndex' | 'pageSize'>;
+
+type DataTableRow<T> =
+  | { isGroup?: false; id: string; original: T; depth: number }
+  | {
+      isGroup: true;
+      id: string;
+      field: string;
+      value: unknown;
+      depth: number;
+      leafRows: { id: string; original: T }[];
+      aggregates: Record<string, ReactNode>;
+    };
+
+interface DataTableOptions<T> {
   data: T[];
   columns: Column<T>[];
+  getRowId?: (item: T, index: number) => string | number;
+  initialState?: Partial<DataTableState>;
+  manual?: boolean; // Server-side: data is already the current page
+  rowCount?: number;
+  onQueryChange?: (query: DataTableQuery) => void;
+}
+
+interface DataTableInstance<T> {
+  state: DataTableState;
+  rows: DataTableRow<T>[];
+  sortedRows: T[];
+  columns: ResolvedColumn<T>[];
+  allColumns: ResolvedColumn<T>[];
+  rowCount: number;
+  pageCount: number;
+  canPreviousPage: boolean;
+  canNextPage: boolean;
+  selectedRows: T[];
+  isAllPageRowsSelected: boolean;
+  isRowSelected: (id: string) => boolean;
+  toggleRowSelected: (id: string, options?: { shiftKey?: boolean }) => void;
+  toggleAllPageRowsSelected: () => void;
+  toggleSort: (field: string, options?: { multi?: boolean }) => void;
+  getSortState: (field: string) => { direction: 'asc' | 'desc' | false; index: number };
+  setFilter: (field: string, value: unknown) => void;
+  setGlobalFilter: (value: string) => void;
+  getFacetValues: (field: string) => T[keyof T][];
+  setPage: (pageIndex: number) => void;
+  setPageSize: (pageSize: number) => void;
+  toggleColumnVisibility: (field: string) => void;
+  moveColumn: (field: string, toIndex: number) => void;
+  setGrouping: (grouping: string[]) => void;
+  toggleGroup: (id: string) => void;
+}
+
+function useDataTable<T>({ columns, ...options }: DataTableOptions<T>): DataTableInstance<T> {
+  // Pass a stable columns array (module constant or useMemo)
+  const resolvedColumns = useMemo(
+    () =>
+      columns.map(({ render, ...col }): ResolvedColumn<T> => ({
+        ...col,
+        field: String(col.key),
+        accessor: (item) => item[col.key],
+        render: render && ((item) => render(item[col.key], item)),
+      })),
+    [columns]
+  );
+
+  return useHeadlessDataTable({ ...options, columns: resolvedColumns });
+}
+
+interface TableProps<T> extends Omit<DataTableOptions<T>, 'getRowId'> {
   keyExtractor: (item: T) => string | number;
 }
 
-function Table<T>({ data, columns, keyExtractor }: TableProps<T>) {
+function Table<T>({ keyExtractor, ...options }: TableProps<T>) {
+  const table = useDataTable({ ...options, getRowId: keyExtractor });
+
   return (
-    <table>
-      <thead>
-        <tr>
-          {columns.map((col) => (
-            <th key={String(col.key)}>{col.header}</th>
-          ))}
-        </tr>
-      </thead>
-      <tbody>
-        {data.map((item) => (
-          <tr key={keyExtractor(item)}>
-            {columns.map((col) => (
-              <td key={String(col.key)}>
-                {col.render
-                  ? col.render(item[col.key], item)
-                  : String(item[col.key])}
-              </td>
-            ))}
+    <div>
+      <input
+        type="search"
+        aria-label="Search"
+        value={table.state.globalFilter}
+        onChange={(e) => table.setGlobalFilter(e.target.value)}
+      />
+      <table>
+        <thead>
+          <tr>
+            {table.columns.map((col) => {
+              const { direction } = table.getSortState(col.field);
+              return (
+                <th key={col.field} aria-sort={direction ? `${direction}ending` : 'none'}>
+                  {col.sortable === false ? (
+                    col.header
+                  ) : (
+                    <button onClick={(e) => table.toggleSort(col.field, { multi: e.shiftKey })}>
+                      {col.header} {direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : ''}
+                    </button>
+                  )}
+                </th>
+              );
+            })}
           </tr>
-        ))}
-      </tbody>
-    </table>
+        </thead>
+        <tbody>
+          {table.rows.map((row) =>
+            row.isGroup ? null : (
+              <tr key={row.id}>
+                {table.columns.map((col) => (
+                  <td key={col.field}>
+                    {col.render ? col.render(row.original) : String(col.accessor(row.original))}
+                  </td>
+                ))}
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+      <button onClick={() => table.setPage(table.state.pageIndex - 1)} disabled={!table.canPreviousPage}>
+        Previous
+      </button>
+      <span>Page {table.state.pageIndex + 1} of {table.pageCount}</span>
+      <button onClick={() => table.setPage(table.state.pageIndex + 1)} disabled={!table.canNextPage}>
+        Next
+      </button>
+    </div>
   );
 }
 
@@ -166,16 +295,20 @@ interface Product {
   inStock: boolean;
 }
 
+// Module constant - a new array every render would redo the column mapping
+const productColumns: Column<Product>[] = [
+  { key: 'name', header: 'Product Name' },
+  { key: 'price', header: 'Price', render: (v) => `$${v}` },
+  { key: 'inStock', header: 'Status', render: (v) => (v ? '✓' : '✗') },
+];
+
 function ProductTable({ products }: { products: Product[] }) {
   return (
     <Table
       data={products}
       keyExtractor={(p) => p.id}
-      columns={[
-        { key: 'name', header: 'Product Name' },
-        { key: 'price', header: 'Price', render: (v) => `$${v}` },
-        { key: 'inStock', header: 'Status', render: (v) => (v ? '✓' : '✗') },
-      ]}
+      columns={productColumns}
+      initialState={{ sorting: [{ field: 'price', desc: false }], pageSize: 20 }}
     />
   );
 }
@@ -184,25 +317,26 @@ function ProductTable({ products }: { products: Product[] }) {
 // 4. GENERIC CUSTOM HOOKS
 // -------------------------------------------------------------------------------------------
 
-function useLocalStorage<T>(key: string, initialValue: T) {
-  const [storedValue, setStoredValue] = useState<T>(() => {
-    try {
-      const item = localStorage.getItem(key);
-      return item ? (JSON.parse(item) as T) : initialValue;
-    } catch {
-      return initialValue;
-    }
-  });
+/**
+ * Generics on a JS implementation: the runtime logic lives in
+ * 02-hooks/customHooks.jsx; this typed wrapper adds the type parameter.
+ */
+
+import { useLocalStorage as useSharedLocalStorage } from '../02-hooks/customHooks';
 
-  const setValue = useCallback((value: T | ((val: T) => T)) => {
-    setStoredValue((prev) => {
-      const newValue = value instanceof Function ? value(prev) : value;
-      localStorage.setItem(key, JSON.stringify(newValue));
-      return newValue;
-    });
-  }, [key]);
+interface LocalStorageOptions<T> {
+  serializer?: { stringify: (value: unknown) => string; parse: (text: string) => unknown };
+  version?: number;
+  migrate?: (oldValue: unknown, oldVersion: number) => T;
+  onQuotaExceeded?: (error: DOMException, context: { key: string; value: T }) => void;
+}
 
-  return [storedValue, setValue] as const;
+function useLocalStorage<T>(key: string, initialValue: T, options?: LocalStorageOptions<T>) {
+  return useSharedLocalStorage(key, initialValue, options) as readonly [
+    T,
+    (value: T | ((prev: T) => T)) => void,
+    () => void
+  ];
 }
 
 // Usage - T is inferred from initialValue
@@ -330,6 +464,7 @@ function LoginForm() {
  * - Use constraints (extends) for required properties
  * - Use keyof for type-safe property access
  * - Return 'as const' for tuple returns
+ * - Type a JS hook with a thin generic wrapper instead of rewriting it
  *
  * COMMON CONSTRAINTS:
  * - T extends object